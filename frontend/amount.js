@@ -0,0 +1,124 @@
+// Exact decimal amounts, shared by the swap page. Mirrors
+// ui/src/utils/amount.ts.
+
+// swapd's precision limit for XMR amounts, see coins/common.go
+const XMR_DECIMALS = 12;
+
+class AmountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AmountError';
+  }
+}
+
+// digits, an optional fraction and an optional exponent
+const AMOUNT_PATTERN = /^(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+function pow10(exponent) {
+  return 10n ** BigInt(exponent);
+}
+
+// Round numerator / denominator, both positive, to an integer. rounding is
+// 'exact', 'down' or 'up', 'exact' returns undefined if digits would be lost.
+function divideUnits(numerator, denominator, rounding) {
+  const quotient = numerator / denominator;
+  if (numerator % denominator === 0n) return quotient;
+  if (rounding === 'exact') return undefined;
+  return rounding === 'up' ? quotient + 1n : quotient;
+}
+
+// An exact, non-negative decimal with a fixed number of decimals, stored as an
+// integer number of its smallest unit so that conversions don't pick up
+// floating point rounding errors.
+class Amount {
+  constructor(units, decimals) {
+    if (units < 0n) {
+      throw new AmountError('Amounts can not be negative');
+    }
+    this.units = units;
+    this.decimals = decimals;
+  }
+
+  static fromUnits(units, decimals) {
+    return new Amount(BigInt(units.toString()), decimals);
+  }
+
+  // Parse a decimal string like "0.1". Throws an AmountError if it has more
+  // significant digits after the point than decimals.
+  static parse(value, decimals) {
+    const text = String(value).trim();
+    const match = AMOUNT_PATTERN.exec(text);
+    if (!match || !(match[1] || match[2])) {
+      throw new AmountError(`"${text}" is not a decimal number`);
+    }
+    const [, whole = '', fraction = '', exponent = '0'] = match;
+    const digits = BigInt(whole + fraction || '0');
+    const scale = fraction.length - Number(exponent);
+    const units = scale <= decimals
+      ? digits * pow10(decimals - scale)
+      : divideUnits(digits, pow10(scale - decimals), 'exact');
+    if (units === undefined) {
+      throw new AmountError(`${text} has more than ${decimals} decimals`);
+    }
+    return new Amount(units, decimals);
+  }
+
+  // For prices from APIs that return floating point numbers
+  static fromNumber(value, decimals) {
+    return Amount.parse(value.toFixed(decimals), decimals);
+  }
+
+  round(decimals, rounding = 'exact') {
+    if (decimals >= this.decimals) {
+      return new Amount(this.units * pow10(decimals - this.decimals), decimals);
+    }
+    const units = divideUnits(this.units, pow10(this.decimals - decimals), rounding);
+    if (units === undefined) {
+      throw new AmountError(`${this} has more than ${decimals} decimals`);
+    }
+    return new Amount(units, decimals);
+  }
+
+  mul(other, decimals, rounding = 'exact') {
+    return new Amount(this.units * other.units, this.decimals + other.decimals).round(decimals, rounding);
+  }
+
+  div(divisor, decimals, rounding = 'exact') {
+    if (divisor.isZero()) {
+      throw new AmountError('Division by zero');
+    }
+    const units = divideUnits(
+      this.units * pow10(decimals + divisor.decimals),
+      divisor.units * pow10(this.decimals),
+      rounding
+    );
+    if (units === undefined) {
+      throw new AmountError(`${this} / ${divisor} has more than ${decimals} decimals`);
+    }
+    return new Amount(units, decimals);
+  }
+
+  cmp(other) {
+    const decimals = Math.max(this.decimals, other.decimals);
+    const a = this.round(decimals).units;
+    const b = other.round(decimals).units;
+    return a === b ? 0 : a < b ? -1 : 1;
+  }
+
+  isZero() {
+    return this.units === 0n;
+  }
+
+  // Without trailing zeros or an exponent, the way swapd's apd.Decimal fields
+  // parse it
+  toString() {
+    const digits = this.units.toString().padStart(this.decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - this.decimals);
+    const fraction = digits.slice(digits.length - this.decimals).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+  }
+}
+
+function xmrAmount(value) {
+  return Amount.parse(value, XMR_DECIMALS);
+}
@@ -1,4 +1,25 @@
-const SWAP_CREATOR_ADDRESS = "0xCa9209fAbc5B1fCF7935F99Ba588776222aB9c4c"; // Your contract address
+// Every chain the swap is deployed to, keyed by chain ID. Tokens are keyed by
+// symbol, their decimals are a fallback for when decimals() can't be read.
+const NETWORKS = {
+	84532: {
+		chainName: "Base Sepolia",
+		rpcUrl: "https://sepolia.base.org",
+		explorerUrl: "https://sepolia.basescan.org",
+		nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+		nativePriceId: "ethereum", // CoinGecko ID of the native currency
+		swapCreatorAddress: "0xCa9209fAbc5B1fCF7935F99Ba588776222aB9c4c",
+		backendUrl: "http://localhost:5000",
+		moneroNetwork: "stagenet", // Monero network the backend's swapd runs on
+		swapdUrl: null, // swapd JSON-RPC endpoint for its mainnet pricefeed, if one is reachable
+		tokens: {
+			USDC: { address: "0x036CbD53842c5426634e7929541eC2318f3dCF7e", decimals: 6 } // Circle's USDC
+		}
+	}
+};
+// The chain this build runs on, each chain ships as a separate build
+const ACTIVE_CHAIN_ID = 84532;
+const NETWORK = NETWORKS[ACTIVE_CHAIN_ID];
+const SWAP_CREATOR_ADDRESS = NETWORK.swapCreatorAddress;
 const SWAP_CREATOR_ABI = [
 	{
 		"inputs": [
@@ -601,5 +622,60 @@ const SWAP_CREATOR_ABI = [
 		"type": "function"
 	}
 ]; // Your contract ABI
-const CHAIN_ID = "0x14a34"; // Base Sepolia chain ID (e.g., "0x14a34" for 84532)
-const RPC_URL = "https://sepolia.base.org"; // Base Sepolia RPC URL
+const CHAIN_ID = `0x${ACTIVE_CHAIN_ID.toString(16)}`;
+const RPC_URL = NETWORK.rpcUrl;
+const EXPLORER_URL = NETWORK.explorerUrl;
+const NATIVE_SYMBOL = NETWORK.nativeCurrency.symbol; // Gas is paid in this currency
+const NATIVE_PRICE_ID = NETWORK.nativePriceId;
+const USDC_ADDRESS = NETWORK.tokens.USDC.address;
+const USDC_DECIMALS = NETWORK.tokens.USDC.decimals;
+const MONERO_NETWORK = NETWORK.moneroNetwork;
+const ERC20_ABI = [
+	"function approve(address spender, uint256 amount) public returns (bool)",
+	"function allowance(address owner, address spender) view returns (uint256)",
+	"function decimals() view returns (uint8)",
+	"function name() view returns (string)",
+	"function version() view returns (string)",
+	"function nonces(address owner) view returns (uint256)",
+	"function DOMAIN_SEPARATOR() view returns (bytes32)"
+];
+// How long a signed EIP-2612 permit stays valid, in seconds
+const PERMIT_VALIDITY = 30 * 60;
+// Worst case gas of each call, used when it can't be estimated yet (see
+// ethereum/consts.go)
+const GAS_LIMITS = {
+	approve: 47000,
+	newSwap: 87369,
+	setReady: 32054,
+	claim: 48416,
+	refund: 48327
+};
+// USD prices are the median of every source that answers. HTTP sources give
+// JSON paths to the XMR and native currency prices in their response, a
+// source without nativePath only prices XMR. swapd's pricefeed is added when
+// the network has a swapdUrl.
+const PRICE_SOURCES = [
+	{
+		name: "CoinGecko",
+		url: `https://api.coingecko.com/api/v3/simple/price?ids=monero,${NATIVE_PRICE_ID}&vs_currencies=usd`,
+		xmrPath: "monero.usd",
+		nativePath: `${NATIVE_PRICE_ID}.usd`
+	},
+	{
+		name: "Kraken",
+		url: "https://api.kraken.com/0/public/Ticker?pair=XMRUSD",
+		xmrPath: "result.XXMRZUSD.c.0"
+	}
+];
+// Prices older than this are stale, in seconds
+const MAX_PRICE_AGE = 10 * 60;
+// swapd's prices are as old as the last update of Chainlink's feeds, which
+// only update on a price move or once per heartbeat, 24 hours for XMR/USD
+const SWAPD_MAX_PRICE_AGE = 24 * 60 * 60;
+// Warn when sources disagree by more than this share of the median price
+const MAX_PRICE_SPREAD = 0.02;
+// Warn when network fees are above this share of the swap's value
+const MAX_FEE_SHARE = 0.05;
+// Bounds for the timeout durations prepared by the backend, in seconds
+const MIN_TIMEOUT_DURATION = 10 * 60;
+const MAX_TIMEOUT_DURATION = 48 * 60 * 60;
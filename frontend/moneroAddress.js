@@ -0,0 +1,178 @@
+// Monero address decoding and verification, shared by the swap page.
+// Mirrors ui/src/utils/moneroAddress.ts. Uses the global ethers for keccak256.
+
+const MONERO_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const MONERO_FULL_BLOCK_SIZE = 8;
+const MONERO_FULL_ENCODED_BLOCK_SIZE = 11;
+// Monero's base58 encodes 8 byte blocks separately. A block of n bytes is
+// always encoded to MONERO_ENCODED_BLOCK_SIZES[n] characters.
+const MONERO_ENCODED_BLOCK_SIZES = [0, 2, 3, 5, 6, 7, 9, 10, 11];
+
+const MONERO_KEY_SIZE = 32;
+const MONERO_PAYMENT_ID_SIZE = 8;
+const MONERO_CHECKSUM_SIZE = 4;
+
+// The network byte sets both the network and the address type. All of them
+// are below 0x80, so their varint encoding is the byte itself.
+const MONERO_NETWORK_BYTES = {
+  18: ['mainnet', 'standard'],
+  19: ['mainnet', 'integrated'],
+  42: ['mainnet', 'subaddress'],
+  24: ['stagenet', 'standard'],
+  25: ['stagenet', 'integrated'],
+  36: ['stagenet', 'subaddress'],
+  53: ['testnet', 'standard'],
+  54: ['testnet', 'integrated'],
+  63: ['testnet', 'subaddress']
+};
+
+class MoneroAddressError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MoneroAddressError';
+  }
+}
+
+function decodeMoneroBlock(block, size) {
+  let value = 0n;
+  for (const char of block) {
+    const digit = MONERO_ALPHABET.indexOf(char);
+    if (digit < 0) {
+      throw new MoneroAddressError(`"${char}" is not a base58 character`);
+    }
+    value = value * 58n + BigInt(digit);
+  }
+  if (value >= 1n << BigInt(8 * size)) {
+    throw new MoneroAddressError('Invalid base58 block');
+  }
+
+  const bytes = new Uint8Array(size);
+  for (let i = size - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+// Decode Monero's block based base58, which differs from Bitcoin's
+function decodeMoneroBase58(encoded) {
+  const fullBlocks = Math.floor(encoded.length / MONERO_FULL_ENCODED_BLOCK_SIZE);
+  const lastBlockSize = MONERO_ENCODED_BLOCK_SIZES.indexOf(encoded.length % MONERO_FULL_ENCODED_BLOCK_SIZE);
+  if (lastBlockSize < 0) {
+    throw new MoneroAddressError('Invalid base58 length');
+  }
+
+  const bytes = new Uint8Array(fullBlocks * MONERO_FULL_BLOCK_SIZE + lastBlockSize);
+  for (let i = 0; i < fullBlocks; i++) {
+    const block = encoded.slice(i * MONERO_FULL_ENCODED_BLOCK_SIZE, (i + 1) * MONERO_FULL_ENCODED_BLOCK_SIZE);
+    bytes.set(decodeMoneroBlock(block, MONERO_FULL_BLOCK_SIZE), i * MONERO_FULL_BLOCK_SIZE);
+  }
+  if (lastBlockSize > 0) {
+    const block = encoded.slice(fullBlocks * MONERO_FULL_ENCODED_BLOCK_SIZE);
+    bytes.set(decodeMoneroBlock(block, lastBlockSize), fullBlocks * MONERO_FULL_BLOCK_SIZE);
+  }
+  return bytes;
+}
+
+// Decode and verify an address. Throws a MoneroAddressError if the address is
+// malformed or its checksum doesn't match, which catches nearly every typo.
+function decodeMoneroAddress(address) {
+  const trimmed = address.trim();
+  if (!trimmed) {
+    throw new MoneroAddressError('The address is empty');
+  }
+  const bytes = decodeMoneroBase58(trimmed);
+
+  const networkAndType = MONERO_NETWORK_BYTES[bytes[0]];
+  if (!networkAndType) {
+    throw new MoneroAddressError(`Unknown network byte ${bytes[0]}`);
+  }
+  const [network, type] = networkAndType;
+  const paymentIDSize = type === 'integrated' ? MONERO_PAYMENT_ID_SIZE : 0;
+  if (bytes.length !== 1 + 2 * MONERO_KEY_SIZE + paymentIDSize + MONERO_CHECKSUM_SIZE) {
+    throw new MoneroAddressError(`Invalid length for a ${network} ${type} address`);
+  }
+
+  const data = bytes.slice(0, -MONERO_CHECKSUM_SIZE);
+  const checksum = ethers.utils.arrayify(ethers.utils.keccak256(data)).slice(0, MONERO_CHECKSUM_SIZE);
+  if (ethers.utils.hexlify(checksum) !== ethers.utils.hexlify(bytes.slice(-MONERO_CHECKSUM_SIZE))) {
+    throw new MoneroAddressError('Invalid checksum, the address has a typo');
+  }
+
+  const decoded = {
+    address: trimmed,
+    network,
+    type,
+    publicSpendKey: ethers.utils.hexlify(data.slice(1, 1 + MONERO_KEY_SIZE)),
+    publicViewKey: ethers.utils.hexlify(data.slice(1 + MONERO_KEY_SIZE, 1 + 2 * MONERO_KEY_SIZE))
+  };
+  if (paymentIDSize) {
+    decoded.paymentID = ethers.utils.hexlify(data.slice(1 + 2 * MONERO_KEY_SIZE));
+  }
+  return decoded;
+}
+
+function isMoneroAddress(address) {
+  try {
+    decodeMoneroAddress(address);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Explain why the backend's swapd can't pay out to a decoded address, or
+// return an empty string if it can. Swaps only pay out to standard addresses
+// and subaddresses.
+function moneroAddressWarning(decoded, expectedNetwork = MONERO_NETWORK) {
+  if (expectedNetwork && decoded.network !== expectedNetwork) {
+    return `This is a ${decoded.network} address, but swaps run on ${expectedNetwork}`;
+  }
+  if (decoded.type === 'integrated') {
+    return "Swaps can't pay out to integrated addresses, use the standard address or a subaddress";
+  }
+  return '';
+}
+
+// Hex hash of the address, so that two addresses which only differ in a few
+// characters get very different fingerprints
+function moneroAddressFingerprint(address) {
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(address.trim())).slice(2);
+}
+
+// Render the fingerprint as a 5x5 mirrored identicon, colored by the hash
+function renderAddressFingerprint(address, size = 32) {
+  const hash = moneroAddressFingerprint(address);
+  const hue = parseInt(hash.slice(0, 4), 16) % 360;
+  const cell = size / 5;
+
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNS, 'svg');
+  svg.setAttribute('width', size);
+  svg.setAttribute('height', size);
+  svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+  svg.classList.add('address-fingerprint');
+
+  const background = document.createElementNS(svgNS, 'rect');
+  background.setAttribute('width', size);
+  background.setAttribute('height', size);
+  background.setAttribute('fill', `hsl(${hue}, 60%, 92%)`);
+  svg.appendChild(background);
+
+  // 3 columns of 5 cells, mirrored onto the 2 right columns
+  for (let i = 0; i < 15; i++) {
+    if (parseInt(hash[4 + i], 16) % 2 === 0) continue;
+    const row = i % 5;
+    const col = Math.floor(i / 5);
+    for (const x of new Set([col, 4 - col])) {
+      const rect = document.createElementNS(svgNS, 'rect');
+      rect.setAttribute('x', x * cell);
+      rect.setAttribute('y', row * cell);
+      rect.setAttribute('width', cell);
+      rect.setAttribute('height', cell);
+      rect.setAttribute('fill', `hsl(${hue}, 65%, 45%)`);
+      svg.appendChild(rect);
+    }
+  }
+  return svg;
+}
@@ -2,119 +2,1624 @@
 // Using global constants SWAP_CREATOR_ADDRESS and SWAP_CREATOR_ABI
 
 // Server URL for API calls
-const SERVER_URL = 'http://localhost:5000';
-const PRICE_API_URL = 'https://api.coingecko.com/api/v3';
-
-// Cache for exchange rates
-const exchangeRateCache = {
-  xmrToUsdc: null,
+const SERVER_URL = NETWORK.backendUrl;
+// Latest market prices, see fetchMarketPrices
+const marketPriceCache = {
+  prices: null,
   lastUpdated: 0
 };
 
-// Fetch current XMR to USDC exchange rate
+// Read a dotted path like "result.XXMRZUSD.c.0" from a JSON response
+function readJsonPath(data, path) {
+  const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+  const price = Number(value);
+  if (!(price > 0)) {
+    throw new Error(`no price at ${path}`);
+  }
+  return price;
+}
+
+// Ask one source for USD prices. Resolves to { source, xmrUsd, nativeUsd,
+// updatedAt, maxAge }, nativeUsd is null if the source doesn't price it. The
+// quote is stale once it is older than maxAge seconds.
+async function fetchPriceQuote(source) {
+  if (source.swapdUrl) {
+    const response = await fetch(source.swapdUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 0, method: 'swap_suggestedExchangeRate', params: {} })
+    });
+    const { result, error } = await response.json();
+    if (error) {
+      throw new Error(error.message);
+    }
+    const xmrUpdatedAt = Date.parse(result.xmrUpdatedAt);
+    const ethUpdatedAt = Date.parse(result.ethUpdatedAt);
+    return {
+      source: source.name,
+      xmrUsd: Number(result.xmrPrice),
+      // swapd's pricefeed only prices ETH
+      nativeUsd: NATIVE_SYMBOL === 'ETH' ? Number(result.ethPrice) : null,
+      updatedAt: Math.min(xmrUpdatedAt, ethUpdatedAt),
+      maxAge: SWAPD_MAX_PRICE_AGE
+    };
+  }
+
+  const response = await fetch(source.url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const data = await response.json();
+  return {
+    source: source.name,
+    xmrUsd: readJsonPath(data, source.xmrPath),
+    nativeUsd: source.nativePath ? readJsonPath(data, source.nativePath) : null,
+    // HTTP sources quote the current price
+    updatedAt: Date.now(),
+    maxAge: MAX_PRICE_AGE
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Spread of values as a share of their median
+function priceSpread(values) {
+  return values.length > 1 ? (Math.max(...values) - Math.min(...values)) / median(values) : 0;
+}
+
+// Fetch USD prices from every configured source and take the median of the
+// ones that answered. Stale quotes are only used if nothing fresher is
+// available, and the result says so. Throws if no source answered, there is
+// no fallback price.
+async function fetchMarketPrices() {
+  const now = Date.now();
+  if (marketPriceCache.prices && now - marketPriceCache.lastUpdated < 60 * 1000) {
+    return marketPriceCache.prices;
+  }
+
+  const sources = NETWORK.swapdUrl
+    ? [...PRICE_SOURCES, { name: 'swapd', swapdUrl: NETWORK.swapdUrl }]
+    : PRICE_SOURCES;
+  const results = await Promise.allSettled(sources.map(fetchPriceQuote));
+  const quotes = [];
+  const failed = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      quotes.push(result.value);
+    } else {
+      console.error(`Price source ${sources[i].name} failed:`, result.reason);
+      failed.push(sources[i].name);
+    }
+  });
+  if (quotes.length === 0) {
+    throw new Error('No price source is available');
+  }
+
+  const fresh = quotes.filter(quote => now - quote.updatedAt <= quote.maxAge * 1000);
+  const used = fresh.length > 0 ? fresh : quotes;
+  const xmrPrices = used.map(quote => quote.xmrUsd);
+  const nativePrices = used.map(quote => quote.nativeUsd).filter(price => price !== null);
+  const spread = Math.max(priceSpread(xmrPrices), priceSpread(nativePrices));
+
+  marketPriceCache.prices = {
+    xmrUsd: median(xmrPrices),
+    nativeUsd: nativePrices.length > 0 ? median(nativePrices) : null,
+    quotes,
+    failed,
+    stale: fresh.length === 0,
+    spread,
+    disagree: spread > MAX_PRICE_SPREAD
+  };
+  marketPriceCache.lastUpdated = now;
+  return marketPriceCache.prices;
+}
+
+// Fetch the current XMR price in USDC. Throws if no price is available.
 async function fetchExchangeRate() {
+  return (await fetchMarketPrices()).xmrUsd;
+}
+
+// Fetch the USD price of the native currency gas is paid in, or null if it
+// isn't available
+async function fetchNativeUsdPrice() {
   try {
-    // Check if we have a cached rate that's less than 5 minutes old
-    const now = Date.now();
-    if (exchangeRateCache.xmrToUsdc && now - exchangeRateCache.lastUpdated < 5 * 60 * 1000) {
-      console.log('Using cached exchange rate:', exchangeRateCache.xmrToUsdc);
-      return exchangeRateCache.xmrToUsdc;
-    }
-    
-    // Fetch current prices from CoinGecko
-    const response = await fetch(`${PRICE_API_URL}/simple/price?ids=monero&vs_currencies=usd`);
-    const data = await response.json();
-    
-    // Update cache
-    exchangeRateCache.xmrToUsdc = data.monero.usd;
-    exchangeRateCache.lastUpdated = now;
-    
-    console.log('Fetched new exchange rate:', exchangeRateCache.xmrToUsdc);
-    return exchangeRateCache.xmrToUsdc;
+    return (await fetchMarketPrices()).nativeUsd;
   } catch (error) {
-    console.error('Error fetching exchange rate:', error);
-    // Return last known rate or a fallback value
-    return exchangeRateCache.xmrToUsdc || 150; // Fallback value
+    console.error('Error fetching the native currency price:', error);
+    return null;
   }
 }
 
-// Convert between XMR and USDC based on current rate
+// Convert between XMR and USDC based on current rate, rounded down to the
+// decimals of the currency converted to
 async function convertCurrency(amount, fromCurrency, toCurrency) {
-  if (!amount || isNaN(amount)) return '0';
+  let parsed;
+  try {
+    parsed = Amount.parse(amount, fromCurrency === 'XMR' ? XMR_DECIMALS : USDC_DECIMALS);
+  } catch (error) {
+    return '0';
+  }
   
-  const rate = await fetchExchangeRate();
-  const amountNum = parseFloat(amount);
+  let rate;
+  try {
+    rate = Amount.fromNumber(await fetchExchangeRate(), USDC_DECIMALS);
+  } catch (error) {
+    // nothing is quoted without a market price
+    return '';
+  }
   
   if (fromCurrency === 'XMR' && toCurrency === 'USDC') {
     // XMR to USDC: multiply by rate
-    return (amountNum * rate).toFixed(2);
+    return parsed.mul(rate, USDC_DECIMALS, 'down').toString();
   } else if (fromCurrency === 'USDC' && toCurrency === 'XMR') {
     // USDC to XMR: divide by rate
-    return (amountNum / rate).toFixed(6);
+    return rate.isZero() ? '0' : parsed.div(rate, XMR_DECIMALS, 'down').toString();
   }
   
   return amount; // No conversion needed
 }
 
-// Connect to MetaMask
-async function connectWallet() {
-  if (window.ethereum) {
+// Browser wallets, discovered through EIP-6963 announcements so that users
+// with several extensions pick the one they want instead of whichever one
+// injected window.ethereum last. The choice is remembered by the wallet's
+// reverse DNS name, which is stable across page loads.
+const WALLET_STORAGE_KEY = 'xmrSwap.wallet';
+const LEGACY_WALLET_INFO = { uuid: 'injected', name: 'Browser wallet', icon: '', rdns: 'injected' };
+
+const walletAdapter = {
+  wallets: [],
+  selected: null,
+  account: null,
+  chainId: null,
+  listeners: []
+};
+
+const walletEventHandlers = {
+  accountsChanged: accounts => {
+    walletAdapter.account = accounts[0] || null;
+    notifyWalletChange();
+  },
+  chainChanged: chainId => {
+    walletAdapter.chainId = parseInt(chainId, 16);
+    notifyWalletChange();
+  }
+};
+
+// listener gets { wallet, account, chainId } whenever any of them changes
+function onWalletChange(listener) {
+  walletAdapter.listeners.push(listener);
+}
+
+function notifyWalletChange() {
+  const { selected, account, chainId } = walletAdapter;
+  walletAdapter.listeners.forEach(listener => listener({ wallet: selected, account, chainId }));
+}
+
+function selectWallet(wallet, remember) {
+  const previous = walletAdapter.selected;
+  if (previous && previous.provider.removeListener) {
+    Object.entries(walletEventHandlers).forEach(([event, handler]) => previous.provider.removeListener(event, handler));
+  }
+  walletAdapter.selected = wallet;
+  walletAdapter.account = null;
+  walletAdapter.chainId = null;
+  if (remember) {
+    localStorage.setItem(WALLET_STORAGE_KEY, wallet.info.rdns);
+  }
+  if (wallet.provider.on) {
+    Object.entries(walletEventHandlers).forEach(([event, handler]) => wallet.provider.on(event, handler));
+  }
+  notifyWalletChange();
+}
+
+window.addEventListener('eip6963:announceProvider', event => {
+  const { info, provider } = event.detail;
+  if (walletAdapter.wallets.some(wallet => wallet.info.uuid === info.uuid)) return;
+  walletAdapter.wallets = walletAdapter.wallets.filter(wallet => wallet.info.rdns !== LEGACY_WALLET_INFO.rdns);
+  walletAdapter.wallets.push({ info, provider });
+  if (info.rdns === localStorage.getItem(WALLET_STORAGE_KEY)) {
+    selectWallet({ info, provider }, false);
+  }
+});
+window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+// Let the user choose among the discovered wallets. Resolves to the chosen
+// wallet, or rejects if the picker is closed.
+function pickWallet() {
+  const modal = document.getElementById('walletModal');
+  const list = document.getElementById('walletList');
+  list.innerHTML = '';
+  
+  return new Promise((resolve, reject) => {
+    const close = wallet => {
+      modal.style.display = 'none';
+      if (wallet) {
+        resolve(wallet);
+      } else {
+        const cancelled = new Error('No wallet was chosen');
+        cancelled.code = 'CANCELLED';
+        reject(cancelled);
+      }
+    };
+    walletAdapter.wallets.forEach(wallet => {
+      const button = document.createElement('button');
+      button.className = 'btn btn-secondary wallet-option';
+      if (wallet.info.icon) {
+        const icon = document.createElement('img');
+        icon.src = wallet.info.icon;
+        icon.alt = '';
+        button.appendChild(icon);
+      }
+      button.append(wallet.info.name);
+      button.addEventListener('click', () => close(wallet));
+      list.appendChild(button);
+    });
+    document.getElementById('walletCloseIcon').onclick = () => close(null);
+    modal.style.display = 'flex';
+  });
+}
+
+// The wallet to use: the remembered one, the only one, or the user's pick.
+// Wallets that predate EIP-6963 are only found through window.ethereum.
+async function getWallet({ choose = false } = {}) {
+  if (walletAdapter.wallets.length === 0 && window.ethereum) {
+    walletAdapter.wallets.push({ info: LEGACY_WALLET_INFO, provider: window.ethereum });
+  }
+  if (walletAdapter.wallets.length === 0) {
+    throw new Error('Please install a browser wallet such as MetaMask, Rabby or Coinbase Wallet');
+  }
+  if (walletAdapter.selected && !choose) {
+    return walletAdapter.selected;
+  }
+  const wallet = walletAdapter.wallets.length === 1 && !choose ? walletAdapter.wallets[0] : await pickWallet();
+  if (wallet !== walletAdapter.selected) {
+    selectWallet(wallet, true);
+  }
+  return wallet;
+}
+
+// Make sure the wallet is on this build's chain, asking it to switch, or to
+// add the chain first if it doesn't know it. Refuses to go on anywhere else,
+// where SWAP_CREATOR_ADDRESS may be an unrelated contract.
+async function ensureSupportedChain(ethereum) {
+  const currentChainId = () => ethereum.request({ method: 'eth_chainId' }).then(id => parseInt(id, 16));
+  if ((await currentChainId()) !== ACTIVE_CHAIN_ID) {
     try {
-      // Request account access
-      const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const signer = provider.getSigner();
-      
-      console.log('Connected to wallet:', accounts[0]);
-      
-      return { provider, signer, address: accounts[0] };
+      await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: CHAIN_ID }] });
     } catch (error) {
-      console.error('User denied account access', error);
-      throw error;
+      // 4902: the wallet doesn't know the chain
+      if (error.code !== 4902) {
+        throw new Error(`Please switch your wallet to ${NETWORK.chainName}: ${error.message}`);
+      }
+      await ethereum.request({
+        method: 'wallet_addEthereumChain',
+        params: [{
+          chainId: CHAIN_ID,
+          chainName: NETWORK.chainName,
+          nativeCurrency: NETWORK.nativeCurrency,
+          rpcUrls: [NETWORK.rpcUrl],
+          blockExplorerUrls: [NETWORK.explorerUrl]
+        }]
+      });
+    }
+    const chainId = await currentChainId();
+    if (chainId !== ACTIVE_CHAIN_ID) {
+      const name = NETWORKS[chainId] ? NETWORKS[chainId].chainName : `chain ${chainId}`;
+      throw new Error(`This app only works on ${NETWORK.chainName}, your wallet is on ${name}`);
+    }
+  }
+}
+
+// Connect to the selected browser wallet, on this build's chain. choose
+// opens the wallet picker even if a wallet was already selected.
+async function connectWallet({ choose = false } = {}) {
+  const wallet = await getWallet({ choose });
+  try {
+    // Request account access
+    const accounts = await wallet.provider.request({ method: 'eth_requestAccounts' });
+    await ensureSupportedChain(wallet.provider);
+    const provider = new ethers.providers.Web3Provider(wallet.provider);
+    const signer = provider.getSigner();
+    
+    console.log(`Connected to ${wallet.info.name}:`, accounts[0]);
+    walletEventHandlers.accountsChanged(accounts);
+    
+    return { provider, signer, address: accounts[0] };
+  } catch (error) {
+    console.error('Could not connect to the wallet', error);
+    throw error;
+  }
+}
+
+// Client-side swap states. stage is the index of the .stage element shown as
+// active, next lists the states a swap may move to from there.
+const SWAP_STATES = {
+  idle: { stage: 0, label: 'Enter the swap details', next: ['approving', 'failed'] },
+  approving: { stage: 0, label: 'Approving token spending', next: ['creating', 'failed'] },
+  creating: { stage: 1, label: 'Locking funds in the swap contract', next: ['notifying', 'failed'] },
+  notifying: { stage: 2, label: 'Notifying the swap service', next: ['ready', 'awaitingXmr', 'failed'] },
+  ready: { stage: 2, label: 'Setting the swap ready', next: ['awaitingXmr', 'claimed', 'refunded', 'failed'] },
+  awaitingXmr: { stage: 2, label: 'Waiting for the Monero side of the swap', next: ['claimed', 'refunded', 'failed'] },
+  claimed: { stage: 3, label: 'Swap completed', next: [] },
+  refunded: { stage: 3, label: 'Swap refunded', next: [] },
+  failed: { stage: null, label: 'Swap failed', next: [] }
+};
+
+const swapState = {
+  state: 'idle',
+  startedAt: null,
+  endedAt: null,
+  swapId: null,
+  txs: [],
+  message: '',
+  lastStage: 0
+};
+let elapsedTimer = null;
+// Stops the watcher of the swap in swapState, see watchSwap
+let stopSwapWatch = null;
+
+// Move the swap to a new state. Transitions the state machine doesn't allow
+// are ignored, e.g. a late watcher update after the swap already failed.
+function setSwapState(state, message = '') {
+  if (state !== swapState.state && !SWAP_STATES[swapState.state].next.includes(state)) {
+    console.warn(`Ignoring swap state transition ${swapState.state} -> ${state}`);
+    return;
+  }
+  
+  swapState.state = state;
+  swapState.message = message;
+  if (state === 'approving' && !swapState.startedAt) {
+    swapState.startedAt = Date.now();
+    elapsedTimer = setInterval(renderSwapState, 1000);
+  }
+  if (SWAP_STATES[state].next.length === 0) {
+    swapState.endedAt = Date.now();
+    clearInterval(elapsedTimer);
+  }
+  renderSwapState();
+}
+
+// Start over, e.g. before a new swap or after the user cancelled
+function resetSwapState() {
+  clearInterval(elapsedTimer);
+  if (stopSwapWatch) {
+    stopSwapWatch();
+    stopSwapWatch = null;
+  }
+  Object.assign(swapState, { state: 'idle', startedAt: null, endedAt: null, swapId: null, txs: [], message: '', lastStage: 0 });
+  renderSwapState();
+}
+
+function recordSwapTx(label, hash) {
+  swapState.txs.push({ label, hash });
+  renderSwapState();
+}
+
+function renderSwapState() {
+  const { stage, label } = SWAP_STATES[swapState.state];
+  
+  // failed swaps keep showing the stage they failed in
+  const activeStage = stage === null ? swapState.lastStage : stage;
+  swapState.lastStage = activeStage;
+  const isComplete = swapState.state === 'claimed' || swapState.state === 'refunded';
+  document.querySelectorAll('.swap-stages .stage').forEach((element, index) => {
+    element.classList.toggle('completed', index < activeStage || (isComplete && index === activeStage));
+    element.classList.toggle('active', index === activeStage && !isComplete);
+  });
+  
+  const panel = document.getElementById('swapStatus');
+  if (!panel) return;
+  panel.innerHTML = '';
+  if (swapState.state === 'idle' && !swapState.message) return;
+  
+  panel.className = `swap-status mt-4 swap-status-${swapState.state}`;
+  const title = document.createElement('p');
+  title.className = 'swap-status-title';
+  title.textContent = label;
+  panel.appendChild(title);
+  
+  if (swapState.message) {
+    const message = document.createElement('p');
+    message.textContent = swapState.message;
+    panel.appendChild(message);
+  }
+  if (swapState.swapId) {
+    const id = document.createElement('p');
+    id.textContent = `Swap ID: ${swapState.swapId}`;
+    panel.appendChild(id);
+  }
+  if (swapState.startedAt) {
+    const elapsed = document.createElement('p');
+    const seconds = Math.floor(((swapState.endedAt || Date.now()) - swapState.startedAt) / 1000);
+    elapsed.textContent = `Elapsed: ${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    panel.appendChild(elapsed);
+  }
+  swapState.txs.forEach(({ label: txLabel, hash }) => {
+    const row = document.createElement('p');
+    const link = document.createElement('a');
+    link.href = `${EXPLORER_URL}/tx/${hash}`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = `${hash.substring(0, 10)}...${hash.substring(hash.length - 8)}`;
+    row.append(`${txLabel}: `, link);
+    panel.appendChild(row);
+  });
+}
+
+// Map the watcher's progress of swapId onto the state machine. Updates that
+// arrive after swapState moved on to another swap are ignored.
+function onSwapProgress(swapId, progress) {
+  if (swapState.swapId !== swapId) return;
+  if (progress.claimedTx) {
+    recordSwapTx('Claim', progress.claimedTx);
+    setSwapState('claimed');
+  } else if (progress.refundedTx) {
+    recordSwapTx('Refund', progress.refundedTx);
+    setSwapState('refunded');
+  } else if (progress.backendStatus) {
+    setSwapState(swapState.state, `Swap service status: ${progress.backendStatus}`);
+  }
+}
+
+// Transactions sent by the swap flows that aren't mined yet, keyed by hash.
+// A transaction is stuck once it is pending for STUCK_TX_AFTER, or when it
+// gets within STUCK_TX_MARGIN of the swap timeout it must be mined before.
+const STUCK_TX_AFTER = 3 * 60 * 1000;
+const STUCK_TX_MARGIN = 10 * 60 * 1000;
+// Nodes only accept a replacement that raises both fees by at least 10%
+const FEE_BUMP_PERCENT = 20;
+const pendingTxs = {};
+let pendingTxTimer = null;
+
+const isStuck = ({ sentAt, deadline }, now) =>
+  now - sentAt > STUCK_TX_AFTER || (deadline !== null && deadline - now < STUCK_TX_MARGIN);
+
+// Wait for a transaction to be mined. If it is sped up, here or in the
+// wallet, the flow continues with the replacement. A cancelled or otherwise
+// replaced transaction rejects. deadline is when, in ms, the transaction
+// stops being useful, e.g. timeout1 for setReady. Resolves to the receipt.
+async function waitForTx(tx, label, { deadline = null } = {}) {
+  pendingTxs[tx.hash] = { tx, label, deadline, sentAt: Date.now(), action: null };
+  renderPendingTxs();
+  try {
+    return await tx.wait();
+  } catch (error) {
+    if (error.code !== ethers.errors.TRANSACTION_REPLACED) throw error;
+    if (error.cancelled || error.reason !== 'repriced') {
+      throw new Error(`The ${label.toLowerCase()} transaction was ${error.reason} by ${error.replacement.hash}`);
+    }
+    console.log(`${label} transaction replaced by`, error.replacement.hash);
+    recordSwapTx(`${label} (sped up)`, error.replacement.hash);
+    if (error.receipt.status === 0) {
+      throw new Error(`The ${label.toLowerCase()} transaction ${error.replacement.hash} reverted`);
+    }
+    return error.receipt;
+  } finally {
+    delete pendingTxs[tx.hash];
+    renderPendingTxs();
+  }
+}
+
+// Fees for a replacement of tx: the current fees, or the old ones raised by
+// FEE_BUMP_PERCENT if that is higher
+async function replacementFees(provider, tx) {
+  const feeData = await provider.getFeeData();
+  const bump = fee => fee.mul(100 + FEE_BUMP_PERCENT).div(100);
+  const max = (a, b) => (a.gt(b) ? a : b);
+  if (tx.maxFeePerGas && feeData.maxFeePerGas) {
+    return {
+      maxFeePerGas: max(bump(tx.maxFeePerGas), feeData.maxFeePerGas),
+      maxPriorityFeePerGas: max(bump(tx.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas)
+    };
+  }
+  return { gasPrice: max(bump(tx.gasPrice), feeData.gasPrice) };
+}
+
+// Send a transaction with the same nonce as a pending one. waitForTx then
+// sees the pending transaction replaced. Some wallets ignore the nonce they
+// are given and send a new transaction instead, which is reported.
+async function replacePendingTx(hash, cancel) {
+  const pending = pendingTxs[hash];
+  const { signer, address } = await connectWallet();
+  const { tx } = pending;
+  const request = cancel
+    ? { to: address, value: 0, data: '0x', gasLimit: 21000 }
+    : { to: tx.to, value: tx.value, data: tx.data, gasLimit: tx.gasLimit };
+  const replacement = await signer.sendTransaction({
+    ...request,
+    nonce: tx.nonce,
+    ...(await replacementFees(signer.provider, tx))
+  });
+  console.log(`${cancel ? 'Cancel' : 'Speed-up'} transaction submitted:`, replacement.hash);
+  if (replacement.nonce !== tx.nonce) {
+    throw new Error('Your wallet ignored the nonce and sent a new transaction. Use its own speed up or cancel instead.');
+  }
+}
+
+// Show the pending transactions under the status panel, with speed up and
+// cancel actions once they are stuck
+function renderPendingTxs() {
+  const container = document.getElementById('pendingTxs');
+  const hashes = Object.keys(pendingTxs);
+  clearInterval(pendingTxTimer);
+  pendingTxTimer = hashes.length > 0 ? setInterval(renderPendingTxs, 15000) : null;
+  if (!container) return;
+  
+  container.innerHTML = '';
+  const now = Date.now();
+  hashes.forEach(hash => {
+    const pending = pendingTxs[hash];
+    const stuck = isStuck(pending, now);
+    const item = document.createElement('div');
+    item.className = `pending-tx${stuck ? ' pending-tx-stuck' : ''}`;
+    
+    const minutes = Math.floor((now - pending.sentAt) / 60000);
+    const text = document.createElement('p');
+    text.textContent = `${pending.label} pending for ${minutes}m`;
+    if (pending.deadline !== null) {
+      const left = Math.max(0, Math.floor((pending.deadline - now) / 60000));
+      text.textContent += `, ${left}m left before the swap timeout`;
+    }
+    if (stuck) {
+      text.textContent += '. It may be stuck because its fee is too low.';
+    }
+    item.appendChild(text);
+    
+    if (stuck) {
+      const actions = document.createElement('div');
+      actions.className = 'confirm-actions';
+      [['Speed Up', false, 'btn-primary'], ['Cancel', true, 'btn-secondary']].forEach(([label, cancel, style]) => {
+        const button = document.createElement('button');
+        button.className = `btn ${style}`;
+        button.textContent = pending.action === label ? `${label}...` : label;
+        button.disabled = pending.action !== null;
+        button.addEventListener('click', async () => {
+          pending.action = label;
+          renderPendingTxs();
+          try {
+            await replacePendingTx(hash, cancel);
+          } catch (error) {
+            console.error(`Failed to ${label.toLowerCase()} transaction:`, error);
+            alert(`Failed to ${label.toLowerCase()} the transaction: ${error.message}`);
+          } finally {
+            pending.action = null;
+            renderPendingTxs();
+          }
+        });
+        actions.appendChild(button);
+      });
+      item.appendChild(actions);
+    }
+    container.appendChild(item);
+  });
+}
+
+// Explanations and next steps for the SwapCreator custom errors
+const SWAP_ERROR_MESSAGES = {
+  ZeroValue: 'The swap amount is zero. Enter an amount greater than zero.',
+  InvalidValue: 'The ETH sent does not match the swap value. Prepare the swap again.',
+  InvalidSwapKey: 'The claim or refund commitment is empty. Prepare the swap again.',
+  InvalidClaimer: 'The counterparty address is missing. Prepare the swap again.',
+  InvalidTimeout: 'A timeout duration is zero. Prepare the swap again.',
+  SwapAlreadyExists: 'A swap with exactly these parameters already exists. Prepare the swap again to get a new nonce.',
+  SwapNotPending: 'The swap is not waiting to be set ready, it was already set ready, claimed or refunded. Check its status before retrying.',
+  OnlySwapOwner: 'Only the wallet that created the swap can do this. Switch to that account in your wallet.',
+  OnlySwapClaimer: 'Only the counterparty can claim this swap. Switch to the claimer account in your wallet.',
+  InvalidSwap: 'The contract does not know this swap. Wait for the creation transaction to confirm, or check that the swap details are unchanged.',
+  SwapCompleted: 'The swap was already claimed or refunded. Nothing is left to do.',
+  TooEarlyToClaim: 'The swap is not ready and timeout 1 has not passed yet. Wait for the owner to set it ready, or until timeout 1.',
+  TooLateToClaim: 'Timeout 2 has passed, so the swap can no longer be claimed. The owner can refund it now.',
+  NotTimeToRefund: 'The swap is ready, so it can only be refunded after timeout 2. Wait until then, or let the counterparty claim.',
+  InvalidSecret: 'The secret does not match the swap commitment. Check that you are using the secret saved for this swap.',
+  InvalidSignature: 'The relayer request was not signed by the claimer. Sign it again with the claimer account.',
+  InvalidContractAddress: 'The relayer request targets another SwapCreator contract. Check the network you are connected to.',
+  InvalidRelayerAddress: 'The relayer address does not match the signed request. Request a new relayer quote.',
+  SafeERC20FailedOperation: 'The token transfer failed. Check your token balance and that the swap contract is approved to spend it.'
+};
+
+// Providers nest the revert data differently, MetaMask for example puts it
+// two levels deep. Return the first hex string found.
+function findRevertData(error) {
+  for (let current = error; current; current = current.error || current.data?.originalError) {
+    if (typeof current.data === 'string' && current.data.startsWith('0x')) {
+      return current.data;
+    }
+    if (typeof current.data?.data === 'string') {
+      return current.data.data;
+    }
+  }
+  return null;
+}
+
+// Turn a failed call into an Error with an explanation the user can act on
+function decodeContractError(contractInterface, error) {
+  const data = findRevertData(error);
+  if (!data || data === '0x') {
+    return new Error(`The transaction would fail: ${error.reason || error.message}`);
+  }
+  
+  // Error(string), e.g. from a token contract
+  if (data.startsWith('0x08c379a0')) {
+    const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4));
+    return new Error(`The transaction would fail: ${reason}`);
+  }
+  
+  try {
+    const { name } = contractInterface.parseError(data);
+    const decoded = new Error(SWAP_ERROR_MESSAGES[name] || `The contract rejected the transaction (${name}).`);
+    decoded.code = name;
+    return decoded;
+  } catch (parseError) {
+    return new Error(`The transaction would fail with unknown revert data ${data}`);
+  }
+}
+
+// Simulate a contract call and only send it if it would succeed, so the wallet
+// never shows a transaction that is bound to revert
+async function sendContractCall(contract, method, args, overrides = {}) {
+  try {
+    await contract.callStatic[method](...args, overrides);
+  } catch (error) {
+    throw decodeContractError(contract.interface, error);
+  }
+  
+  try {
+    return await contract[method](...args, overrides);
+  } catch (error) {
+    // user rejections have no revert data and keep their message
+    if (findRevertData(error)) throw decodeContractError(contract.interface, error);
+    throw error;
+  }
+}
+
+// POST a JSON body to the backend and return the parsed response
+async function postToServer(path, body) {
+  const response = await fetch(`${SERVER_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Request to ${path} failed with status ${response.status}`);
+  }
+  return result;
+}
+
+// Read the token's decimals from its contract, so amounts aren't shown with
+// the wrong precision if the backend picked another token
+async function getTokenDecimals(signer, asset) {
+  try {
+    const token = new ethers.Contract(asset, ERC20_ABI, signer);
+    return await token.decimals();
+  } catch (error) {
+    console.error('Could not read token decimals, assuming USDC:', error);
+    return USDC_DECIMALS;
+  }
+}
+
+// Let the swap contract pull the swap value from the wallet
+async function approveToken(signer, asset, value) {
+  const token = new ethers.Contract(asset, ERC20_ABI, signer);
+  const approveTx = await token.approve(SWAP_CREATOR_ADDRESS, value);
+  
+  console.log('Approval transaction submitted:', approveTx.hash);
+  recordSwapTx('Approval', approveTx.hash);
+  await waitForTx(approveTx, 'Approval');
+  console.log('Approval confirmed');
+}
+
+const tokenMetadataCache = {};
+
+// Token metadata discovered from the chain: decimals, and the EIP-712 domain
+// for EIP-2612 permits. permitDomain is null if the token has no permit, or
+// if our guess of its domain doesn't hash to its DOMAIN_SEPARATOR.
+async function getTokenMetadata(provider, asset) {
+  const key = ethers.utils.getAddress(asset);
+  if (!tokenMetadataCache[key]) {
+    tokenMetadataCache[key] = (async () => {
+      const token = new ethers.Contract(asset, ERC20_ABI, provider);
+      const decimals = await getTokenDecimals(provider, asset);
+      let permitDomain = null;
+      try {
+        const [name, domainSeparator, { chainId }] = await Promise.all([
+          token.name(),
+          token.DOMAIN_SEPARATOR(),
+          provider.getNetwork()
+        ]);
+        // OpenZeppelin's ERC20Permit has no version() and uses "1"
+        const version = await token.version().catch(() => '1');
+        const domain = { name, version, chainId, verifyingContract: key };
+        if (ethers.utils._TypedDataEncoder.hashDomain(domain) === domainSeparator) {
+          permitDomain = domain;
+        } else {
+          console.warn(`Could not reconstruct the permit domain of ${key}, falling back to approve`);
+        }
+      } catch (error) {
+        console.log(`${key} does not support EIP-2612 permits`);
+      }
+      return { decimals, permitDomain };
+    })();
+  }
+  return tokenMetadataCache[key];
+}
+
+// Sign an EIP-2612 permit letting the swap contract spend value
+async function signPermit(signer, domain, value, deadline) {
+  const owner = await signer.getAddress();
+  const token = new ethers.Contract(domain.verifyingContract, ERC20_ABI, signer);
+  const nonce = await token.nonces(owner);
+  const types = {
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  };
+  const message = { owner, spender: SWAP_CREATOR_ADDRESS, value, nonce, deadline };
+  try {
+    const signature = await signer._signTypedData(domain, types, message);
+    return { owner, ...ethers.utils.splitSignature(signature) };
+  } catch (error) {
+    if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+      const cancelled = new Error('Permit signature rejected');
+      cancelled.code = 'CANCELLED';
+      throw cancelled;
+    }
+    throw error;
+  }
+}
+
+// Features of the backend beyond the swap flow, see docs/frontend-api.md.
+// Backends without the endpoint support none of them.
+let backendCapabilities = null;
+
+function getBackendCapabilities() {
+  if (!backendCapabilities) {
+    backendCapabilities = fetch(`${SERVER_URL}/api/web3/capabilities`)
+      .then(response => (response.ok ? response.json() : {}))
+      .catch(error => {
+        console.warn('Could not read the backend capabilities:', error);
+        return {};
+      });
+  }
+  return backendCapabilities;
+}
+
+// Make sure the swap contract may spend value. Nothing is sent if the current
+// allowance already covers it. Otherwise a permit is signed and submitted by
+// the backend where both the token and the backend support it, so the user
+// sends no transaction, and an approve transaction is the fallback. mode is
+// 'exact' or 'unlimited', it only applies to approve: permits are always for
+// value, as the signature leaves the wallet before the backend relays it.
+// Returns how the allowance was covered: 'allowance', 'permit' or 'approve'.
+async function ensureAllowance(signer, asset, value, { mode = 'exact', swapId } = {}) {
+  const owner = await signer.getAddress();
+  const token = new ethers.Contract(asset, ERC20_ABI, signer);
+  const allowance = await token.allowance(owner, SWAP_CREATOR_ADDRESS);
+  if (allowance.gte(value)) {
+    console.log('Existing allowance covers the swap:', allowance.toString());
+    return 'allowance';
+  }
+  
+  const [{ permitDomain }, { permit: backendRelaysPermits }] = await Promise.all([
+    getTokenMetadata(signer.provider, asset),
+    getBackendCapabilities()
+  ]);
+  if (permitDomain && backendRelaysPermits) {
+    const permitValue = ethers.BigNumber.from(value);
+    const deadline = Math.floor(Date.now() / 1000) + PERMIT_VALIDITY;
+    const { v, r, s } = await signPermit(signer, permitDomain, permitValue, deadline);
+    try {
+      const { txHash } = await postToServer('/api/web3/permit', {
+        swapId,
+        token: asset,
+        owner,
+        spender: SWAP_CREATOR_ADDRESS,
+        value: permitValue.toString(),
+        deadline,
+        v,
+        r,
+        s
+      });
+      console.log('Permit submitted by the swap service:', txHash);
+      recordSwapTx('Permit', txHash);
+      // the backend's transaction isn't in pendingTxs, so it can't be sped
+      // up here: give up on it once it would count as stuck
+      await signer.provider.waitForTransaction(txHash, 1, STUCK_TX_AFTER);
+      if ((await token.allowance(owner, SWAP_CREATOR_ADDRESS)).gte(value)) {
+        return 'permit';
+      }
+      console.warn('The permit did not raise the allowance, falling back to approve');
+    } catch (error) {
+      console.warn('Could not submit the permit, falling back to approve:', error);
+      if (error.code === 'TIMEOUT') {
+        setSwapState(swapState.state, 'The permit was not mined in time, approve the swap in your wallet instead');
+      }
+    }
+  }
+  
+  const amount = mode === 'unlimited' ? ethers.constants.MaxUint256 : ethers.BigNumber.from(value);
+  await approveToken(signer, asset, amount);
+  return 'approve';
+}
+
+// Lock the funds with newSwap. The contract turns the timeout durations into
+// absolute timestamps, so the swap struct needed by setReady, claim and refund
+// is rebuilt from the New event rather than from the prepared parameters.
+async function createSwap(swapContract, swapParams, owner, onSubmitted = () => {}) {
+  const isNative = swapParams.asset === ethers.constants.AddressZero;
+  const createSwapTx = await sendContractCall(swapContract, 'newSwap', [
+    swapParams.claimCommitment,
+    swapParams.refundCommitment,
+    swapParams.claimer,
+    swapParams.timeout1,
+    swapParams.timeout2,
+    swapParams.asset,
+    swapParams.value,
+    swapParams.nonce
+  ], { value: isNative ? swapParams.value : 0 });
+  
+  console.log('Swap creation transaction submitted:', createSwapTx.hash);
+  recordSwapTx('Swap creation', createSwapTx.hash);
+  onSubmitted(createSwapTx.hash);
+  const receipt = await waitForTx(createSwapTx, 'Swap creation');
+  console.log('Swap created on the blockchain');
+  if (receipt.transactionHash !== createSwapTx.hash) {
+    onSubmitted(receipt.transactionHash);
+  }
+  
+  const { swapID, swap } = swapFromReceipt(swapContract.interface, receipt, swapParams, owner);
+  return { txHash: receipt.transactionHash, blockNumber: receipt.blockNumber, swapID, swap };
+}
+
+// Rebuild the swap struct from the New event in a newSwap receipt
+function swapFromReceipt(contractInterface, receipt, swapParams, owner) {
+  const newEvent = receipt.logs
+    .filter(log => ethers.utils.getAddress(log.address) === ethers.utils.getAddress(SWAP_CREATOR_ADDRESS))
+    .map(log => contractInterface.parseLog(log))
+    .find(event => event.name === 'New');
+  if (!newEvent) {
+    throw new Error('The swap creation transaction did not emit a New event');
+  }
+  
+  const swap = [
+    owner,
+    swapParams.claimer,
+    swapParams.claimCommitment,
+    swapParams.refundCommitment,
+    newEvent.args.timeout1,
+    newEvent.args.timeout2,
+    swapParams.asset,
+    swapParams.value,
+    swapParams.nonce
+  ];
+  return { swapID: newEvent.args.swapID, swap };
+}
+
+// Mark the swap as ready, which lets the claimer claim before timeout1
+async function setSwapReady(swapContract, swap) {
+  const setReadyTx = await sendContractCall(swapContract, 'setReady', [swap]);
+  console.log('SetReady transaction submitted:', setReadyTx.hash);
+  recordSwapTx('Set ready', setReadyTx.hash);
+  // after timeout1 the claimer can claim anyway, and the owner can no longer
+  // refund until timeout2
+  await waitForTx(setReadyTx, 'Set ready', { deadline: Number(swap[4]) * 1000 });
+  console.log('Swap set as ready on the blockchain');
+}
+
+// Check the backend-prepared parameters against what the user asked for. The
+// server only suggests them, the wallet must never sign anything that differs.
+function validateSwapParams(swapParams, expected) {
+  const problems = [];
+  const sameAddress = (a, b) => !!a && !!b && ethers.utils.getAddress(a) === ethers.utils.getAddress(b);
+  const isAddress = value => typeof value === 'string' && ethers.utils.isAddress(value);
+  const isCommitment = value =>
+    ethers.utils.isHexString(value, 32) && !ethers.BigNumber.from(value).isZero();
+  
+  if (!swapParams) {
+    throw new Error('The server did not return any swap parameters');
+  }
+  if (!isAddress(swapParams.asset) || !sameAddress(swapParams.asset, expected.asset)) {
+    problems.push(`the token is ${swapParams.asset} instead of USDC (${expected.asset})`);
+  }
+  if (!isAddress(swapParams.owner) || !sameAddress(swapParams.owner, expected.owner)) {
+    problems.push(`the refund address ${swapParams.owner} is not your wallet`);
+  }
+  if (!isAddress(swapParams.claimer) || swapParams.claimer === ethers.constants.AddressZero) {
+    problems.push('the counterparty address is missing');
+  } else if (sameAddress(swapParams.claimer, expected.owner)) {
+    problems.push('the counterparty is your own wallet');
+  }
+  try {
+    if (!ethers.BigNumber.from(swapParams.value).eq(expected.value)) {
+      problems.push(`the amount is ${swapParams.value} instead of ${expected.value} atomic units`);
+    }
+  } catch (error) {
+    problems.push(`the amount ${swapParams.value} is not a number`);
+  }
+  if (!isCommitment(swapParams.claimCommitment) || !isCommitment(swapParams.refundCommitment)) {
+    problems.push('the claim or refund commitment is not a 32 byte hash');
+  }
+  for (const name of ['timeout1', 'timeout2']) {
+    const duration = Number(swapParams[name]);
+    if (!Number.isInteger(duration) || duration < MIN_TIMEOUT_DURATION || duration > MAX_TIMEOUT_DURATION) {
+      problems.push(`${name} (${swapParams[name]}s) is outside ${MIN_TIMEOUT_DURATION}s to ${MAX_TIMEOUT_DURATION}s`);
+    }
+  }
+  if (swapParams.nonce === undefined || swapParams.nonce === null) {
+    problems.push('the nonce is missing');
+  }
+  
+  if (problems.length > 0) {
+    throw new Error(`Refusing to create the swap: ${problems.join('; ')}`);
+  }
+}
+
+// Format a duration in seconds as e.g. "1h 30m"
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+// Append a label/value row to a .swap-info container
+function appendInfoRow(container, label, value) {
+  const row = document.createElement('p');
+  const labelSpan = document.createElement('span');
+  const valueSpan = document.createElement('span');
+  labelSpan.textContent = label;
+  valueSpan.textContent = value;
+  row.append(labelSpan, valueSpan);
+  container.appendChild(row);
+}
+
+// Why a swap can't pay out to address, or an empty string if it can
+function receiverAddressProblem(address) {
+  try {
+    return moneroAddressWarning(decodeMoneroAddress(address));
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Show the network, type and fingerprint of the entered XMR address, to
+// compare against the receiving wallet, or what is wrong with it
+function renderReceiverAddressInfo(address) {
+  const info = document.getElementById('receiverAddressInfo');
+  if (!info) return;
+  info.replaceChildren();
+  info.classList.remove('address-warning');
+  if (!address.trim()) return;
+
+  let decoded;
+  try {
+    decoded = decodeMoneroAddress(address);
+  } catch (error) {
+    info.textContent = error.message;
+    info.classList.add('address-warning');
+    return;
+  }
+
+  const summary = document.createElement('span');
+  summary.textContent = `${decoded.network} ${decoded.type} address`
+    + (decoded.paymentID ? ` with payment ID ${decoded.paymentID.slice(2)}` : '');
+  info.append(renderAddressFingerprint(decoded.address), summary);
+
+  const warning = moneroAddressWarning(decoded);
+  if (warning) {
+    const warningText = document.createElement('span');
+    warningText.textContent = warning;
+    info.appendChild(warningText);
+    info.classList.add('address-warning');
+  }
+}
+
+// Show what will be locked, for how long and who can claim it. Resolves to
+// true only if the user confirms.
+function confirmSwapDetails(swapParams, decimals, costs = null) {
+  const modal = document.getElementById('confirmModal');
+  const details = document.getElementById('confirmDetails');
+  const timeout1 = Number(swapParams.timeout1);
+  const timeout2 = Number(swapParams.timeout2);
+  const rows = [
+    ['You lock', `${ethers.utils.formatUnits(swapParams.value, decimals)} USDC`],
+    ['Token contract', swapParams.asset],
+    ['Counterparty (can claim)', swapParams.claimer],
+    ['Refunds go to', swapParams.owner],
+    ['Counterparty can claim', `once you set the swap ready, or ${formatDuration(timeout1)} to ${formatDuration(timeout1 + timeout2)} after creation`],
+    ['You can refund', `within ${formatDuration(timeout1)} unless the swap is ready, or after ${formatDuration(timeout1 + timeout2)}`]
+  ];
+  if (costs) {
+    costs.steps.forEach(({ label, gas }) => rows.push([`Gas: ${label}`, `${gas.toString()} gas`]));
+    rows.push(['Network fees', formatNativeCost(costs.total, costs.nativeUsd)]);
+    rows.push(['Refund fee, if needed', formatNativeCost(costs.refund, costs.nativeUsd)]);
+    const share = feeShare(costs, Number(ethers.utils.formatUnits(swapParams.value, decimals)));
+    if (share !== null && share > MAX_FEE_SHARE) {
+      rows.push(['Warning', `Fees are ${(share * 100).toFixed(1)}% of the swap value`]);
     }
   } else {
-    console.error('MetaMask not detected');
-    throw new Error('Please install MetaMask to use this application');
+    rows.push(['Network fees', 'Could not be estimated']);
+  }
+  
+  details.innerHTML = '';
+  rows.forEach(([label, value]) => appendInfoRow(details, label, value));
+  
+  modal.style.display = 'flex';
+  return new Promise(resolve => {
+    const close = confirmed => {
+      modal.style.display = 'none';
+      resolve(confirmed);
+    };
+    document.getElementById('confirmSwapBtn').onclick = () => close(true);
+    document.getElementById('confirmCancelBtn').onclick = () => close(false);
+    document.getElementById('confirmCancelIcon').onclick = () => close(false);
+  });
+}
+
+// Estimate the network fees of the transactions the user sends in a swap:
+// approve (unless the allowance already covers it), newSwap and setReady, and
+// the refund they send if it fails. Gas is estimated where the chain state
+// allows it and taken from GAS_LIMITS otherwise, e.g. newSwap can't be
+// estimated before the approval. Without an owner or prepared parameters, as
+// on the swap form, every step uses GAS_LIMITS.
+async function estimateSwapCosts(provider, { owner, value, swapParams } = {}) {
+  const estimate = async (fallback, estimateGas) => {
+    try {
+      return estimateGas ? await estimateGas() : ethers.BigNumber.from(fallback);
+    } catch (error) {
+      return ethers.BigNumber.from(fallback);
+    }
+  };
+  
+  const asset = swapParams?.asset || USDC_ADDRESS;
+  const token = new ethers.Contract(asset, ERC20_ABI, provider);
+  const swapContract = new ethers.Contract(SWAP_CREATOR_ADDRESS, SWAP_CREATOR_ABI, provider);
+  const allowance = owner
+    ? await token.allowance(owner, SWAP_CREATOR_ADDRESS).catch(() => ethers.constants.Zero)
+    : ethers.constants.Zero;
+  const needsApproval = !value || allowance.lt(value);
+  
+  const steps = [];
+  if (needsApproval) {
+    steps.push({
+      label: 'Approve',
+      gas: await estimate(GAS_LIMITS.approve, owner && (() => token.estimateGas.approve(SWAP_CREATOR_ADDRESS, value, { from: owner })))
+    });
+  }
+  steps.push({
+    label: 'Lock funds',
+    gas: await estimate(GAS_LIMITS.newSwap, owner && swapParams && !needsApproval && (() =>
+      swapContract.estimateGas.newSwap(
+        swapParams.claimCommitment,
+        swapParams.refundCommitment,
+        swapParams.claimer,
+        swapParams.timeout1,
+        swapParams.timeout2,
+        swapParams.asset,
+        swapParams.value,
+        swapParams.nonce,
+        { from: owner }
+      )))
+  });
+  steps.push({ label: 'Set ready', gas: ethers.BigNumber.from(GAS_LIMITS.setReady) });
+  
+  const [feeData, nativeUsd] = await Promise.all([provider.getFeeData(), fetchNativeUsdPrice()]);
+  const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
+  const totalGas = steps.reduce((total, step) => total.add(step.gas), ethers.constants.Zero);
+  return {
+    steps,
+    gasPrice,
+    total: totalGas.mul(gasPrice),
+    refund: gasPrice.mul(GAS_LIMITS.refund),
+    nativeUsd
+  };
+}
+
+// Format a native currency amount in wei, with its USD value when known
+function formatNativeCost(wei, nativeUsd) {
+  const native = Number(ethers.utils.formatEther(wei));
+  const usd = nativeUsd ? ` (~$${(native * nativeUsd).toFixed(2)})` : '';
+  return `${native.toPrecision(3)} ${NATIVE_SYMBOL}${usd}`;
+}
+
+// The fees' share of the swap value, which is in USDC and so in USD, or null
+// if the native currency price is unknown
+function feeShare(costs, usdcValue) {
+  if (!costs.nativeUsd || !usdcValue) return null;
+  return (Number(ethers.utils.formatEther(costs.total)) * costs.nativeUsd) / usdcValue;
+}
+
+// Validate the prepared parameters and let the user confirm them
+async function verifySwapParams(signer, swapParams, expected) {
+  validateSwapParams(swapParams, expected);
+  const decimals = await getTokenDecimals(signer, swapParams.asset);
+  const costs = await estimateSwapCosts(signer.provider, {
+    owner: expected.owner,
+    value: swapParams.value,
+    swapParams
+  }).catch(error => {
+    console.error('Could not estimate the network fees:', error);
+    return null;
+  });
+  if (!(await confirmSwapDetails(swapParams, decimals, costs))) {
+    const cancelled = new Error('Swap cancelled');
+    cancelled.code = 'CANCELLED';
+    throw cancelled;
+  }
+}
+
+// Claim a swap as its claimer, revealing the claim secret
+async function claimSwap(swapContract, swap, secret) {
+  const claimTx = await sendContractCall(swapContract, 'claim', [swap, secret]);
+  console.log('Claim transaction submitted:', claimTx.hash);
+  recordSwapTx('Claim', claimTx.hash);
+  const receipt = await waitForTx(claimTx, 'Claim', { deadline: Number(swap[5]) * 1000 });
+  console.log('Swap claimed');
+  return receipt.transactionHash;
+}
+
+// Refund a swap to its owner, revealing the refund secret
+async function refundSwap(swapContract, swap, secret) {
+  const refundTx = await sendContractCall(swapContract, 'refund', [swap, secret]);
+  console.log('Refund transaction submitted:', refundTx.hash);
+  recordSwapTx('Refund', refundTx.hash);
+  // a refund before timeout1 has to beat the swap being set ready
+  const deadline = Date.now() < Number(swap[4]) * 1000 ? Number(swap[4]) * 1000 : null;
+  const receipt = await waitForTx(refundTx, 'Refund', { deadline });
+  console.log('Swap refunded');
+  return receipt.transactionHash;
+}
+
+// Swaps that locked the user's funds, with what is needed to refund them
+// without the backend. Kept in localStorage, keyed by the backend swap ID.
+const RECOVERY_STORAGE_KEY = 'xmrSwap.recoverableSwaps';
+const PBKDF2_ITERATIONS = 310000;
+
+function loadRecoverableSwaps() {
+  try {
+    return JSON.parse(localStorage.getItem(RECOVERY_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Could not read saved swaps:', error);
+    return {};
+  }
+}
+
+function saveRecoverableSwap(swapId, changes) {
+  const swaps = loadRecoverableSwaps();
+  swaps[swapId] = { ...swaps[swapId], ...changes };
+  localStorage.setItem(RECOVERY_STORAGE_KEY, JSON.stringify(swaps));
+}
+
+function forgetRecoverableSwap(swapId) {
+  const swaps = loadRecoverableSwaps();
+  delete swaps[swapId];
+  localStorage.setItem(RECOVERY_STORAGE_KEY, JSON.stringify(swaps));
+}
+
+async function derivePassphraseKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Protect the refund secret with AES-GCM if the user picked a passphrase.
+// Anyone with the secret and the owner's wallet can refund, so the passphrase
+// guards against other scripts or people reading this browser's storage.
+async function sealRefundSecret(secret, passphrase) {
+  if (!passphrase) {
+    return { encrypted: false, secret };
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await derivePassphraseKey(passphrase, salt);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, ethers.utils.arrayify(secret));
+  return {
+    encrypted: true,
+    salt: ethers.utils.base64.encode(salt),
+    iv: ethers.utils.base64.encode(iv),
+    ciphertext: ethers.utils.base64.encode(new Uint8Array(ciphertext))
+  };
+}
+
+async function openRefundSecret(sealed, passphrase) {
+  if (!sealed.encrypted) {
+    return sealed.secret;
+  }
+  try {
+    const key = await derivePassphraseKey(passphrase, ethers.utils.base64.decode(sealed.salt));
+    const secret = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: ethers.utils.base64.decode(sealed.iv) },
+      key,
+      ethers.utils.base64.decode(sealed.ciphertext)
+    );
+    return ethers.utils.hexlify(new Uint8Array(secret));
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+}
+
+// Remember a swap before its funds are locked, so a closed tab or a crash
+// between sending newSwap and its confirmation doesn't lose the refund secret
+async function rememberSwap(swapId, prepareResult, owner) {
+  const passphrase = document.getElementById('recoveryPassphrase')?.value || '';
+  saveRecoverableSwap(swapId, {
+    swapId,
+    owner,
+    swapParams: prepareResult.swapParams,
+    refundSecret: prepareResult.refundSecret
+      ? await sealRefundSecret(prepareResult.refundSecret, passphrase)
+      : null,
+    savedAt: Date.now()
+  });
+}
+
+// The saved swap's struct and ID, rebuilt from its creation receipt if the
+// page was closed before the swap was confirmed
+async function getRecoverableSwapStruct(saved, provider) {
+  if (saved.swap) {
+    return { swap: saved.swap, swapID: saved.swapID };
+  }
+  if (!saved.createTxHash) {
+    return null;
+  }
+  const receipt = await provider.getTransactionReceipt(saved.createTxHash);
+  if (!receipt) {
+    return null;
+  }
+  const contract = new ethers.Contract(SWAP_CREATOR_ADDRESS, SWAP_CREATOR_ABI, provider);
+  const { swap, swapID } = swapFromReceipt(contract.interface, receipt, saved.swapParams, saved.owner);
+  saveRecoverableSwap(saved.swapId, { swap: serializeSwap(swap), swapID });
+  return { swap: serializeSwap(swap), swapID };
+}
+
+const serializeSwap = swap => swap.map(field => field.toString());
+
+// Refundable until timeout1 while the swap isn't ready, and from timeout2 on,
+// see SwapCreator.refund
+function refundAvailability(stage, swap, now) {
+  const timeout1 = Number(swap[4]);
+  const timeout2 = Number(swap[5]);
+  if (stage === 'COMPLETED') return { canRefund: false, reason: 'Already claimed or refunded' };
+  if (stage === 'INVALID') return { canRefund: false, reason: 'Not found on-chain' };
+  if (now >= timeout2) return { canRefund: true, reason: 'Timeout 2 has passed' };
+  if (stage === 'PENDING' && now <= timeout1) return { canRefund: true, reason: 'Not set ready yet' };
+  return { canRefund: false, reason: `Refundable from ${new Date(timeout2 * 1000).toLocaleString()}` };
+}
+
+async function refundSavedSwap(saved, passphrase) {
+  if (!saved.refundSecret) {
+    throw new Error('No refund secret was saved for this swap');
+  }
+  const secret = await openRefundSecret(saved.refundSecret, passphrase);
+  const { signer } = await connectWallet();
+  const swapContract = new ethers.Contract(SWAP_CREATOR_ADDRESS, SWAP_CREATOR_ABI, signer);
+  return refundSwap(swapContract, saved.swap, secret);
+}
+
+// Render the saved swaps into the "Recover funds" view
+async function renderRecoverableSwaps() {
+  const list = document.getElementById('recoverList');
+  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+  const contract = new ethers.Contract(SWAP_CREATOR_ADDRESS, SWAP_CREATOR_ABI, provider);
+  const saved = Object.values(loadRecoverableSwaps()).sort((a, b) => b.savedAt - a.savedAt);
+  
+  list.innerHTML = '';
+  if (saved.length === 0) {
+    list.textContent = 'No swaps are saved in this browser.';
+    return;
+  }
+  
+  const now = Math.floor(Date.now() / 1000);
+  for (const entry of saved) {
+    const item = document.createElement('div');
+    item.className = 'swap-info recover-item';
+    list.appendChild(item);
+    const addRow = (label, value) => appendInfoRow(item, label, value);
+    addRow('Swap ID', entry.swapId);
+    
+    let swap = null;
+    let stage = 'INVALID';
+    try {
+      const created = await getRecoverableSwapStruct(entry, provider);
+      if (created) {
+        swap = created.swap;
+        stage = SWAP_STAGES[await contract.swaps(created.swapID)];
+      }
+    } catch (error) {
+      addRow('Status', `Could not read the chain: ${error.message}`);
+      continue;
+    }
+    
+    const decimals = swap ? await getTokenDecimals(provider, swap[6]) : USDC_DECIMALS;
+    addRow('Amount', `${ethers.utils.formatUnits(entry.swapParams.value, decimals)} USDC`);
+    if (swap) {
+      addRow('Timeout 1', new Date(Number(swap[4]) * 1000).toLocaleString());
+      addRow('Timeout 2', new Date(Number(swap[5]) * 1000).toLocaleString());
+    }
+    const { canRefund, reason } = swap
+      ? refundAvailability(stage, swap, now)
+      : { canRefund: false, reason: 'The swap was never created' };
+    addRow('Status', `${stage}: ${reason}`);
+    
+    const actions = document.createElement('div');
+    actions.className = 'confirm-actions';
+    item.appendChild(actions);
+    
+    let passphraseInput = null;
+    if (canRefund && entry.refundSecret?.encrypted) {
+      passphraseInput = document.createElement('input');
+      passphraseInput.type = 'password';
+      passphraseInput.className = 'form-control';
+      passphraseInput.placeholder = 'Recovery passphrase';
+      actions.appendChild(passphraseInput);
+    }
+    if (canRefund) {
+      const refundBtn = document.createElement('button');
+      refundBtn.className = 'btn btn-primary';
+      refundBtn.textContent = 'Refund';
+      refundBtn.addEventListener('click', async () => {
+        refundBtn.disabled = true;
+        try {
+          const txHash = await refundSavedSwap({ ...entry, swap }, passphraseInput?.value);
+          alert(`Refund sent: ${txHash}`);
+          renderRecoverableSwaps();
+        } catch (error) {
+          alert(`Refund failed: ${error.message}`);
+          refundBtn.disabled = false;
+        }
+      });
+      actions.appendChild(refundBtn);
+    }
+    if (stage === 'COMPLETED' || !swap) {
+      const forgetBtn = document.createElement('button');
+      forgetBtn.className = 'btn btn-secondary';
+      forgetBtn.textContent = 'Forget';
+      forgetBtn.addEventListener('click', () => {
+        forgetRecoverableSwap(entry.swapId);
+        renderRecoverableSwaps();
+      });
+      actions.appendChild(forgetBtn);
+    }
+  }
+}
+
+// Gasless claims: the claimer signs a RelaySwap and a relayer submits
+// claimRelayer for them, taking its fee out of the swap value
+
+const SWAP_FIELDS = ['owner', 'claimer', 'claimCommitment', 'refundCommitment', 'timeout1', 'timeout2', 'asset', 'value', 'nonce'];
+const SWAP_TUPLE = 'tuple(address,address,bytes32,bytes32,uint256,uint256,address,uint256,uint256)';
+const RELAY_SWAP_TUPLE = `tuple(${SWAP_TUPLE},uint256,bytes32,address)`;
+
+// The backend sends swap structs as objects, the contract takes tuples
+const toSwapTuple = swap => (Array.isArray(swap) ? swap : SWAP_FIELDS.map(field => swap[field]));
+
+// Claimable once the swap is ready, or from timeout1 until timeout2, see
+// SwapCreator._claim
+function claimAvailability(stage, swap, now) {
+  const timeout1 = Number(swap[4]);
+  const timeout2 = Number(swap[5]);
+  if (stage === 'COMPLETED') return { canClaim: false, reason: 'Already claimed or refunded' };
+  if (stage === 'INVALID') return { canClaim: false, reason: 'Not found on-chain' };
+  if (now >= timeout2) return { canClaim: false, reason: 'Too late to claim, the owner can refund' };
+  if (stage === 'READY' || now >= timeout1) return { canClaim: true, reason: 'Ready to claim' };
+  return { canClaim: false, reason: `Not ready, claimable from ${new Date(timeout1 * 1000).toLocaleString()}` };
+}
+
+// keccak256(abi.encode(_relaySwap)), the digest claimRelayer recovers the
+// claimer's address from
+const hashRelaySwap = relaySwap =>
+  ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode([RELAY_SWAP_TUPLE], [relaySwap]));
+
+// Wallets known not to offer eth_sign, by their EIP-6963 reverse DNS name.
+// MetaMask disables it by default.
+const NO_ETH_SIGN_WALLETS = ['io.metamask', 'io.metamask.flask'];
+
+// Whether the wallet can make the signature signRelaySwap needs: false for
+// wallets known not to offer eth_sign, null when that can't be told without
+// asking for a signature
+function walletCanEthSign(wallet) {
+  return NO_ETH_SIGN_WALLETS.includes(wallet.info.rdns) ? false : null;
+}
+
+// claimRelayer runs ecrecover on the bare digest, without the "Ethereum Signed
+// Message" prefix personal_sign adds, so this needs the wallet's eth_sign
+async function signRelaySwap(signer, relaySwap) {
+  const address = await signer.getAddress();
+  const digest = hashRelaySwap(relaySwap);
+  let signature;
+  try {
+    signature = await signer.provider.send('eth_sign', [address.toLowerCase(), digest]);
+  } catch (error) {
+    if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+      const cancelled = new Error('Signature rejected');
+      cancelled.code = 'CANCELLED';
+      throw cancelled;
+    }
+    throw new Error(`Your wallet could not sign the claim, it may have eth_sign disabled: ${error.message}`);
   }
+  if (ethers.utils.recoverAddress(digest, signature) !== ethers.utils.getAddress(address)) {
+    throw new Error('Your wallet signed a prefixed message, which claimRelayer does not accept');
+  }
+  return signature;
+}
+
+// Fetch the swap the user can claim and the relayer's fee for it. The fee is
+// paid in the swap's token and must leave the user something.
+async function quoteRelayedClaim(swapId, address) {
+  const { swap, secret } = await postToServer('/api/web3/claim-params', { swapId, evmAddress: address });
+  const swapTuple = toSwapTuple(swap);
+  if (ethers.utils.getAddress(swapTuple[1]) !== ethers.utils.getAddress(address)) {
+    throw new Error(`This swap can only be claimed by ${swapTuple[1]}`);
+  }
+  if (!ethers.utils.isHexString(secret, 32)) {
+    throw new Error('The server did not return the claim secret');
+  }
+  
+  const { fee, relayerHash } = await postToServer('/api/web3/relayer/quote', {
+    swapId,
+    asset: swapTuple[6],
+    value: swapTuple[7].toString()
+  });
+  if (ethers.BigNumber.from(fee).gte(swapTuple[7])) {
+    throw new Error('The relayer fee is larger than the swap value, claim directly instead');
+  }
+  if (!ethers.utils.isHexString(relayerHash, 32)) {
+    throw new Error('The relayer did not return a valid relayer hash');
+  }
+  
+  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+  const contract = new ethers.Contract(SWAP_CREATOR_ADDRESS, SWAP_CREATOR_ABI, provider);
+  const swapID = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode([SWAP_TUPLE], [swapTuple]));
+  const stage = SWAP_STAGES[await contract.swaps(swapID)];
+  const decimals = await getTokenDecimals(provider, swapTuple[6]);
+  
+  return {
+    swapId,
+    swapID,
+    swap: swapTuple,
+    secret,
+    fee: ethers.BigNumber.from(fee),
+    relayerHash,
+    decimals,
+    ...claimAvailability(stage, swapTuple, Math.floor(Date.now() / 1000))
+  };
+}
+
+// Sign the quoted claim and hand it to the relayer. Returns the relayer's
+// transaction hash.
+async function submitRelayedClaim(signer, quote) {
+  const relaySwap = [quote.swap, quote.fee, quote.relayerHash, SWAP_CREATOR_ADDRESS];
+  const signature = await signRelaySwap(signer, relaySwap);
+  const { txHash } = await postToServer('/api/web3/relayer/claim', {
+    swapId: quote.swapId,
+    relaySwap: {
+      swap: Object.fromEntries(SWAP_FIELDS.map((field, i) => [field, quote.swap[i].toString()])),
+      fee: quote.fee.toString(),
+      relayerHash: quote.relayerHash,
+      swapCreator: SWAP_CREATOR_ADDRESS
+    },
+    secret: quote.secret,
+    signature
+  });
+  console.log('Relayed claim submitted:', txHash);
+  return txHash;
+}
+
+// Render the "Claim without gas" view: quote first, so the fee is known
+// before anything is signed
+function setupRelayedClaimView() {
+  const swapIdInput = document.getElementById('claimSwapId');
+  const quoteBtn = document.getElementById('claimQuoteBtn');
+  const claimBtn = document.getElementById('claimRelayBtn');
+  const details = document.getElementById('claimDetails');
+  const status = document.getElementById('claimStatus');
+  let quote = null;
+  // Stops watching the last claimed swap, only one is shown at a time
+  let stopClaimWatch = null;
+  
+  swapIdInput.addEventListener('input', () => {
+    quote = null;
+    if (stopClaimWatch) {
+      stopClaimWatch();
+      stopClaimWatch = null;
+    }
+    claimBtn.disabled = true;
+    details.innerHTML = '';
+    status.textContent = '';
+  });
+  
+  quoteBtn.addEventListener('click', async () => {
+    quoteBtn.disabled = true;
+    claimBtn.disabled = true;
+    status.textContent = '';
+    try {
+      const { address } = await connectWallet();
+      quote = await quoteRelayedClaim(swapIdInput.value.trim(), address);
+      const value = ethers.BigNumber.from(quote.swap[7]);
+      const format = amount => `${ethers.utils.formatUnits(amount, quote.decimals)} USDC`;
+      const wallet = walletAdapter.selected;
+      const canSign = walletCanEthSign(wallet);
+      details.innerHTML = '';
+      [
+        ['Swap value', format(value)],
+        ['Relayer fee', format(quote.fee)],
+        ['You receive', format(value.sub(quote.fee))],
+        ['Gas', 'Paid by the relayer'],
+        ['Status', quote.reason],
+        ['Signing', canSign === false
+          ? `${wallet.info.name} doesn't offer eth_sign, which gasless claims need. Claim directly or use another wallet.`
+          : 'Needs eth_sign, some wallets only offer it once it is enabled in their settings']
+      ].forEach(([label, text]) => appendInfoRow(details, label, text));
+      claimBtn.disabled = !quote.canClaim || canSign === false;
+    } catch (error) {
+      console.error('Failed to quote the relayed claim:', error);
+      status.textContent = error.message;
+    } finally {
+      quoteBtn.disabled = false;
+    }
+  });
+  
+  claimBtn.addEventListener('click', async () => {
+    claimBtn.disabled = true;
+    status.textContent = 'Waiting for your signature...';
+    try {
+      const { signer } = await connectWallet();
+      const fromBlock = await signer.provider.getBlockNumber();
+      const txHash = await submitRelayedClaim(signer, quote);
+      status.textContent = `Claim submitted by the relayer in ${txHash}, waiting for confirmation...`;
+      if (stopClaimWatch) stopClaimWatch();
+      stopClaimWatch = watchSwap(quote.swapId, quote.swapID, fromBlock, progress => {
+        if (progress.claimedTx) {
+          status.textContent = `Claimed in ${progress.claimedTx}`;
+        }
+      });
+    } catch (error) {
+      console.error('Relayed claim failed:', error);
+      status.textContent = error.code === 'CANCELLED' ? '' : error.message;
+      claimBtn.disabled = false;
+    }
+  });
 }
 
 // USDC to XMR Swap Flow
 async function initiateUsdcToXmrSwap(xmrAddress, usdcAmount) {
+  resetSwapState();
   try {
     // Step 1: Connect to wallet
     const { signer, address } = await connectWallet();
     
     // Step 2: Prepare swap parameters with the backend
-    const prepareResponse = await fetch(`${SERVER_URL}/api/web3/prepare-usdc-to-xmr`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        evmAddress: address,
-        xmrAddress: xmrAddress,
-        value: usdcAmount // In atomic units (e.g., 10000 for 0.01 USDC)
-      })
+    const prepareResult = await postToServer('/api/web3/prepare-usdc-to-xmr', {
+      evmAddress: address,
+      xmrAddress: xmrAddress,
+      value: usdcAmount // In atomic units (e.g., 10000 for 0.01 USDC)
     });
-    
-    const prepareResult = await prepareResponse.json();
     console.log('Swap parameters prepared:', prepareResult);
+    const { swapParams } = prepareResult;
+    swapState.swapId = prepareResult.swapId;
     
-    // Step 3: Approve USDC spending
-    // Get USDC contract instance
-    const usdcContract = new ethers.Contract(
-      prepareResult.swapParams.asset, // USDC address
-      ['function approve(address spender, uint256 amount) public returns (bool)'],
-      signer
-    );
-    
-    // Approve the swap contract to spend USDC
-    const approveTx = await usdcContract.approve(
-      SWAP_CREATOR_ADDRESS,
-      prepareResult.swapParams.value
-    );
-    
-    console.log('Approval transaction submitted:', approveTx.hash);
-    await approveTx.wait();
-    console.log('Approval confirmed');
+    // Step 3: Check the parameters and approve USDC spending
+    await verifySwapParams(signer, swapParams, { owner: address, asset: USDC_ADDRESS, value: usdcAmount });
+    setSwapState('approving');
+    await ensureAllowance(signer, swapParams.asset, swapParams.value, {
+      mode: document.getElementById('approvalMode')?.value,
+      swapId: prepareResult.swapId
+    });
     
     // Step 4: Create the swap on the contract
     const swapContract = new ethers.Contract(
@@ -122,180 +1627,209 @@ async function initiateUsdcToXmrSwap(xmrAddress, usdcAmount) {
       SWAP_CREATOR_ABI,
       signer
     );
-    
-    // Create the swap
-    const createSwapTx = await swapContract.newSwap(
-      prepareResult.swapParams.claimCommitment,
-      prepareResult.swapParams.refundCommitment,
-      prepareResult.swapParams.claimer,
-      prepareResult.swapParams.timeout1,
-      prepareResult.swapParams.timeout2,
-      prepareResult.swapParams.asset,
-      prepareResult.swapParams.value,
-      prepareResult.swapParams.nonce
+    setSwapState('creating');
+    await rememberSwap(prepareResult.swapId, prepareResult, address);
+    const { txHash, blockNumber, swapID, swap } = await createSwap(
+      swapContract, swapParams, address,
+      hash => saveRecoverableSwap(prepareResult.swapId, { createTxHash: hash })
     );
-    
-    console.log('Swap creation transaction submitted:', createSwapTx.hash);
-    await createSwapTx.wait();
-    console.log('Swap created on the blockchain');
+    saveRecoverableSwap(prepareResult.swapId, { swap: serializeSwap(swap), swapID });
     
     // Step 5: Notify backend of swap creation
-    const notifyResponse = await fetch(`${SERVER_URL}/api/web3/notify-usdc-to-xmr-created`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        swapId: prepareResult.swapId,
-        txHash: createSwapTx.hash
-      })
+    setSwapState('notifying');
+    const notifyResult = await postToServer('/api/web3/notify-usdc-to-xmr-created', {
+      swapId: prepareResult.swapId,
+      txHash
     });
-    
-    const notifyResult = await notifyResponse.json();
     console.log('Backend notified of swap creation:', notifyResult);
     
     // Step 6: Set the swap as ready
-    const swapObj = [
-      prepareResult.swapParams.owner,
-      prepareResult.swapParams.claimer,
-      prepareResult.swapParams.claimCommitment,
-      prepareResult.swapParams.refundCommitment,
-      prepareResult.swapParams.timeout1,
-      prepareResult.swapParams.timeout2,
-      prepareResult.swapParams.asset,
-      prepareResult.swapParams.value,
-      prepareResult.swapParams.nonce
-    ];
-    
-    const setReadyTx = await swapContract.setReady(swapObj);
-    console.log('SetReady transaction submitted:', setReadyTx.hash);
-    await setReadyTx.wait();
-    console.log('Swap set as ready on the blockchain');
+    setSwapState('ready');
+    await setSwapReady(swapContract, swap);
     
     // Step 7: Notify backend that swap is ready for XMR sending
-    const readyResponse = await fetch(`${SERVER_URL}/api/web3/notify-usdc-to-xmr-ready`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        swapId: prepareResult.swapId
-      })
+    const readyResult = await postToServer('/api/web3/notify-usdc-to-xmr-ready', {
+      swapId: prepareResult.swapId
     });
-    
-    const readyResult = await readyResponse.json();
     console.log('Backend notified of ready state:', readyResult);
+    setSwapState('awaitingXmr');
     
-    // Step 8: Poll for status updates
-    pollSwapStatus(prepareResult.swapId);
+    // Step 8: Watch the swap until it is claimed or refunded
+    stopSwapWatch = watchSwap(prepareResult.swapId, swapID, blockNumber, progress =>
+      onSwapProgress(prepareResult.swapId, progress)
+    );
     
     return prepareResult.swapId;
   } catch (error) {
     console.error('Error initiating USDC to XMR swap:', error);
+    if (error.code === 'CANCELLED') {
+      resetSwapState();
+    } else {
+      setSwapState('failed', error.message);
+    }
     throw error;
   }
 }
 
 // XMR to USDC Swap Flow
 async function initiateXmrToUsdcSwap(xmrAmount, usdcAmount) {
+  resetSwapState();
   try {
     // Step 1: Connect to wallet
     const { signer, address } = await connectWallet();
     
-    // Step 2: Prepare swap parameters with the backend
-    const prepareResponse = await fetch(`${SERVER_URL}/api/web3/prepare-xmr-to-usdc`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        evmAddress: address,
-        value: usdcAmount, // In atomic units (e.g., 10000 for 0.01 USDC)
-        xmrAmount: xmrAmount // As a string (e.g., "0.001")
-      })
+    // Step 2: Prepare swap parameters with the backend. It picks the
+    // counterparty that claims the swap, the token, the timeouts and the nonce.
+    const prepareResult = await postToServer('/api/web3/prepare-xmr-to-usdc', {
+      evmAddress: address,
+      value: usdcAmount, // In atomic units (e.g., 10000 for 0.01 USDC)
+      xmrAmount: xmrAmount // As a string (e.g., "0.001")
     });
-    
-    const prepareResult = await prepareResponse.json();
     console.log('Swap parameters prepared:', prepareResult);
+    const { swapParams } = prepareResult;
+    swapState.swapId = prepareResult.swapId;
     
-    // Step 3: Send XMR (backend operation)
-    const sendXmrResponse = await fetch(`${SERVER_URL}/api/web3/xmr-to-usdc/${prepareResult.swapId}/send-xmr`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({})
+    // Step 3: Check the parameters and approve token spending
+    await verifySwapParams(signer, swapParams, { owner: address, asset: USDC_ADDRESS, value: usdcAmount });
+    setSwapState('approving');
+    await ensureAllowance(signer, swapParams.asset, swapParams.value, {
+      mode: document.getElementById('approvalMode')?.value,
+      swapId: prepareResult.swapId
     });
     
-    const sendXmrResult = await sendXmrResponse.json();
-    console.log('XMR sent:', sendXmrResult);
-    
-    // Step 4: Create EVM swap
+    // Step 4: Create the swap on the contract
     const swapContract = new ethers.Contract(
       SWAP_CREATOR_ADDRESS,
       SWAP_CREATOR_ABI,
       signer
     );
+    setSwapState('creating');
+    await rememberSwap(prepareResult.swapId, prepareResult, address);
+    const { txHash, blockNumber, swapID, swap } = await createSwap(
+      swapContract, swapParams, address,
+      hash => saveRecoverableSwap(prepareResult.swapId, { createTxHash: hash })
+    );
+    saveRecoverableSwap(prepareResult.swapId, { swap: serializeSwap(swap), swapID });
     
-    // Generate swap parameters
-    const now = Math.floor(Date.now() / 1000);
-    const timeout1 = now + 3600; // 1 hour
-    const timeout2 = now + 7200; // 2 hours
+    // Step 5: Notify backend of swap creation
+    setSwapState('notifying');
+    const notifyResult = await postToServer('/api/web3/notify-xmr-to-usdc-created', {
+      swapId: prepareResult.swapId,
+      txHash
+    });
+    console.log('Backend notified of swap creation:', notifyResult);
     
-    // Create the swap
-    const createSwapTx = await swapContract.newSwap(
-      prepareResult.claimCommitment,
-      prepareResult.refundCommitment,
-      address, // Self-swap for testing
-      timeout1,
-      timeout2,
-      '0x0000000000000000000000000000000000000000', // Native currency (ETH/BNB)
-      ethers.utils.parseEther(usdcAmount), // Convert to wei
-      Math.floor(Math.random() * 1000000) // Random nonce
-    );
+    // Step 6: Send XMR (backend operation)
+    setSwapState('notifying', 'The swap service is sending XMR');
+    const sendXmrResult = await postToServer(`/api/web3/xmr-to-usdc/${prepareResult.swapId}/send-xmr`, {});
+    console.log('XMR sent:', sendXmrResult);
     
-    console.log('Swap creation transaction submitted:', createSwapTx.hash);
-    await createSwapTx.wait();
-    console.log('Swap created on the blockchain');
+    // Step 7: Set the swap as ready
+    setSwapState('ready');
+    await setSwapReady(swapContract, swap);
     
-    // Step 5: Notify backend of EVM swap creation
-    const notifyResponse = await fetch(`${SERVER_URL}/api/web3/notify-xmr-to-usdc-created`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        swapId: prepareResult.swapId,
-        txHash: createSwapTx.hash
-      })
+    // Step 8: Notify backend that the swap is ready to be claimed
+    const readyResult = await postToServer('/api/web3/notify-xmr-to-usdc-ready', {
+      swapId: prepareResult.swapId
     });
+    console.log('Backend notified of ready state:', readyResult);
+    setSwapState('awaitingXmr', 'Waiting for the counterparty to claim');
     
-    const notifyResult = await notifyResponse.json();
-    console.log('Backend notified of swap creation:', notifyResult);
-    
-    // Poll for status updates
-    pollSwapStatus(prepareResult.swapId);
+    // Step 9: Watch the swap until it is claimed or refunded
+    stopSwapWatch = watchSwap(prepareResult.swapId, swapID, blockNumber, progress =>
+      onSwapProgress(prepareResult.swapId, progress)
+    );
     
     return prepareResult.swapId;
   } catch (error) {
     console.error('Error initiating XMR to USDC swap:', error);
+    if (error.code === 'CANCELLED') {
+      resetSwapState();
+    } else {
+      setSwapState('failed', error.message);
+    }
     throw error;
   }
 }
 
-// Poll for swap status updates
-async function pollSwapStatus(swapId) {
-  const statusInterval = setInterval(async () => {
-    try {
-      const statusResponse = await fetch(`${SERVER_URL}/api/web3/status/${swapId}`);
-      const statusResult = await statusResponse.json();
-      
-      console.log('Current swap status:', statusResult);
-      
-      if (statusResult.status === 'COMPLETED') {
-        console.log('Swap completed successfully!');
-        clearInterval(statusInterval);
+// SwapCreator's Stage enum
+const SWAP_STAGES = ['INVALID', 'PENDING', 'READY', 'COMPLETED'];
+const WATCH_INTERVAL = 15000;
+
+// Watch a swap until it is claimed or refunded. Progress comes from the
+// contract's swaps() view and its Ready, Claimed and Refunded events, so it
+// keeps working while the backend is down. The backend status is merged in for
+// the Monero side. onUpdate gets { stage, readyTx, claimedTx, refundedTx,
+// backendStatus } after every change. Returns a function that stops watching.
+function watchSwap(swapId, swapID, fromBlock, onUpdate = progress => console.log('Swap progress:', progress)) {
+  // a read-only provider keeps working when the wallet switches networks
+  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+  const contract = new ethers.Contract(SWAP_CREATOR_ADDRESS, SWAP_CREATOR_ABI, provider);
+  const filters = {
+    ready: contract.filters.Ready(swapID),
+    claimed: contract.filters.Claimed(swapID),
+    refunded: contract.filters.Refunded(swapID)
+  };
+  const progress = { stage: 'INVALID', readyTx: null, claimedTx: null, refundedTx: null, backendStatus: null };
+  let stopped = false;
+  let interval;
+  
+  const isFinal = () => !!(progress.claimedTx || progress.refundedTx);
+  
+  const update = changes => {
+    if (stopped) return;
+    const changed = Object.keys(changes).some(key => changes[key] !== progress[key]);
+    Object.assign(progress, changes);
+    if (changed) onUpdate({ ...progress });
+    if (isFinal()) stop();
+  };
+  
+  const onEvent = key => event => update({ [key]: event.transactionHash });
+  const listeners = {
+    ready: onEvent('readyTx'),
+    claimed: onEvent('claimedTx'),
+    refunded: onEvent('refundedTx')
+  };
+  
+  // Re-read the chain state. Events can be missed while the page is in the
+  // background or the RPC node is flaky, the swaps() view can't.
+  const refreshChain = async () => {
+    const stage = SWAP_STAGES[await contract.swaps(swapID)];
+    const changes = { stage };
+    if (stage !== 'PENDING' && stage !== 'INVALID') {
+      for (const [key, txKey] of [['ready', 'readyTx'], ['claimed', 'claimedTx'], ['refunded', 'refundedTx']]) {
+        if (progress[txKey]) continue;
+        const events = await contract.queryFilter(filters[key], fromBlock);
+        if (events.length > 0) changes[txKey] = events[0].transactionHash;
       }
-    } catch (error) {
-      console.error('Error polling swap status:', error);
     }
-  }, 5000); // Poll every 5 seconds
+    update(changes);
+  };
   
-  // Stop polling after 10 minutes to prevent infinite polling
-  setTimeout(() => {
-    clearInterval(statusInterval);
-    console.log('Status polling stopped after timeout');
-  }, 10 * 60 * 1000);
+  const refreshBackend = async () => {
+    const statusResponse = await fetch(`${SERVER_URL}/api/web3/status/${swapId}`);
+    const statusResult = await statusResponse.json();
+    update({ backendStatus: statusResult.status });
+  };
+  
+  const refresh = () => {
+    refreshChain().catch(error => console.error('Error reading swap state from the chain:', error));
+    refreshBackend().catch(error => console.error('Error polling backend swap status:', error));
+  };
+  
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+    clearInterval(interval);
+    Object.keys(filters).forEach(key => contract.off(filters[key], listeners[key]));
+    provider.removeAllListeners();
+  }
+  
+  Object.keys(filters).forEach(key => contract.on(filters[key], listeners[key]));
+  interval = setInterval(refresh, WATCH_INTERVAL);
+  refresh();
+  
+  return stop;
 }
 
 // Event listeners for UI
@@ -303,28 +1837,86 @@ document.addEventListener('DOMContentLoaded', () => {
   // Connect wallet button
   const connectWalletBtn = document.getElementById('connectWalletBtn');
   if (connectWalletBtn) {
+    // follows account and wallet changes, no reload needed
+    onWalletChange(({ wallet, account }) => {
+      connectWalletBtn.textContent = account
+        ? `${wallet.info.name}: ${account.substring(0, 6)}...${account.substring(account.length - 4)}`
+        : 'Connect Wallet';
+      connectWalletBtn.classList.toggle('connected', !!account);
+    });
+    // once connected, clicking again switches to another wallet
     connectWalletBtn.addEventListener('click', async () => {
       try {
-        const { address } = await connectWallet();
-        connectWalletBtn.textContent = address.substring(0, 6) + '...' + address.substring(address.length - 4);
-        connectWalletBtn.classList.add('connected');
+        await connectWallet({ choose: !!walletAdapter.account && walletAdapter.wallets.length > 1 });
       } catch (error) {
+        if (error.code === 'CANCELLED') return;
         console.error('Failed to connect wallet:', error);
         alert(`Failed to connect wallet: ${error.message}`);
       }
     });
   }
   
+  // Recover funds view
+  const recoverFundsLink = document.getElementById('recoverFundsLink');
+  const recoverModal = document.getElementById('recoverModal');
+  if (recoverFundsLink && recoverModal) {
+    recoverFundsLink.addEventListener('click', event => {
+      event.preventDefault();
+      recoverModal.style.display = 'flex';
+      renderRecoverableSwaps().catch(error => {
+        console.error('Failed to load saved swaps:', error);
+        document.getElementById('recoverList').textContent = `Failed to load saved swaps: ${error.message}`;
+      });
+    });
+    document.getElementById('recoverCloseIcon').addEventListener('click', () => {
+      recoverModal.style.display = 'none';
+    });
+  }
+  
+  // Claim without gas view
+  const claimLink = document.getElementById('claimGaslessLink');
+  const claimModal = document.getElementById('claimModal');
+  if (claimLink && claimModal) {
+    setupRelayedClaimView();
+    claimLink.addEventListener('click', event => {
+      event.preventDefault();
+      claimModal.style.display = 'flex';
+    });
+    document.getElementById('claimCloseIcon').addEventListener('click', () => {
+      claimModal.style.display = 'none';
+    });
+  }
+  
   // Exchange rate display
   const exchangeRateDisplay = document.getElementById('exchangeRate');
   if (exchangeRateDisplay) {
+    const priceWarning = document.getElementById('priceWarning');
     const updateExchangeRateDisplay = async () => {
+      let prices;
       try {
-        const rate = await fetchExchangeRate();
-        exchangeRateDisplay.textContent = `1 XMR ≈ ${rate.toFixed(2)} USDC`;
+        prices = await fetchMarketPrices();
       } catch (error) {
         console.error('Failed to update exchange rate display:', error);
+        exchangeRateDisplay.textContent = 'Unavailable';
+        priceWarning.textContent = 'No price source answered, amounts are not converted.';
+        return;
       }
+      exchangeRateDisplay.textContent = `1 XMR ≈ ${prices.xmrUsd.toFixed(2)} USDC`;
+      exchangeRateDisplay.title = prices.quotes
+        .map(quote => `${quote.source}: ${quote.xmrUsd.toFixed(2)} USD`)
+        .join('\n');
+
+      const warnings = [];
+      if (prices.stale) {
+        warnings.push('Prices are out of date.');
+      }
+      if (prices.disagree) {
+        warnings.push(`Price sources disagree by ${(prices.spread * 100).toFixed(1)}%.`);
+      }
+      if (prices.failed.length > 0) {
+        warnings.push(`Not available: ${prices.failed.join(', ')}.`);
+      }
+      priceWarning.textContent = warnings.join(' ');
     };
     
     updateExchangeRateDisplay();
@@ -347,32 +1939,86 @@ document.addEventListener('DOMContentLoaded', () => {
           return;
         }
         
+        // Amounts are sent exactly as entered, as atomic units or decimal
+        // strings, so they don't pick up floating point rounding errors
+        let usdc;
+        let xmr;
+        try {
+          usdc = Amount.parse(sendCurrency === 'USDC' ? sendAmount : receiveAmount, USDC_DECIMALS);
+          xmr = xmrAmount(sendCurrency === 'XMR' ? sendAmount : receiveAmount);
+        } catch (error) {
+          alert(`Please check the amounts: ${error.message}`);
+          return;
+        }
+        if (usdc.isZero() || xmr.isZero()) {
+          alert('Amounts must be greater than zero');
+          return;
+        }
+        
         if (sendCurrency === 'USDC' && receiveCurrency === 'XMR') {
           if (!receiverAddress) {
             alert('Please enter your XMR wallet address');
             return;
           }
+          const addressProblem = receiverAddressProblem(receiverAddress);
+          if (addressProblem) {
+            alert(`Please check your XMR wallet address: ${addressProblem}`);
+            return;
+          }
           
-          // Convert USDC to atomic units (6 decimals)
-          const usdcAtomicUnits = Math.floor(parseFloat(sendAmount) * 1e6).toString();
-          
-          const swapId = await initiateUsdcToXmrSwap(receiverAddress, usdcAtomicUnits);
-          alert(`USDC to XMR swap initiated with ID: ${swapId}`);
+          await initiateUsdcToXmrSwap(receiverAddress, usdc.units.toString());
         } else if (sendCurrency === 'XMR' && receiveCurrency === 'USDC') {
-          // Convert USDC to atomic units (6 decimals)
-          const usdcAtomicUnits = Math.floor(parseFloat(receiveAmount) * 1e6).toString();
-          
-          const swapId = await initiateXmrToUsdcSwap(sendAmount, usdcAtomicUnits);
-          alert(`XMR to USDC swap initiated with ID: ${swapId}`);
+          await initiateXmrToUsdcSwap(xmr.toString(), usdc.units.toString());
         } else {
           alert('Unsupported currency pair');
         }
       } catch (error) {
-        alert(`Failed to create swap: ${error.message}`);
+        // the status panel already shows what went wrong
+        console.error('Failed to create swap:', error);
       }
     });
   }
   
+  // What the XMR address decodes to, so typos are caught before funds are locked
+  const receiverAddressInput = document.getElementById('receiverAddress');
+  if (receiverAddressInput) {
+    receiverAddressInput.addEventListener('input', () => renderReceiverAddressInfo(receiverAddressInput.value));
+  }
+
+  // Network fee estimate, shown next to the received amount
+  const networkFeeDisplay = document.getElementById('networkFee');
+  const feeEstimateDisplay = document.getElementById('feeEstimate');
+  let feeEstimateRequest = 0;
+  const updateFeeEstimate = async () => {
+    const request = ++feeEstimateRequest;
+    try {
+      const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+      const costs = await estimateSwapCosts(provider);
+      if (request !== feeEstimateRequest) return;
+      // read after the estimate, the other amount is converted asynchronously
+      const usdcInput = document.getElementById('sendCurrency').innerText.trim() === 'USDC'
+        ? document.getElementById('sendAmount')
+        : document.getElementById('receiveAmount');
+      const usdcValue = Number(usdcInput.value);
+      const text = `Network fees ≈ ${formatNativeCost(costs.total, costs.nativeUsd)}`;
+      const share = feeShare(costs, usdcValue);
+      const notWorthIt = share !== null && share > MAX_FEE_SHARE;
+      networkFeeDisplay.textContent = formatNativeCost(costs.total, costs.nativeUsd);
+      feeEstimateDisplay.textContent = notWorthIt
+        ? `${text}, ${(share * 100).toFixed(1)}% of the swap. A small swap may not be worth it.`
+        : text;
+      feeEstimateDisplay.classList.toggle('fee-warning', notWorthIt);
+    } catch (error) {
+      console.error('Failed to estimate network fees:', error);
+    }
+  };
+  if (networkFeeDisplay && feeEstimateDisplay) {
+    ['sendAmount', 'receiveAmount'].forEach(id => {
+      document.getElementById(id).addEventListener('input', updateFeeEstimate);
+    });
+    updateFeeEstimate();
+  }
+  
   // Swap direction button
   const swapDirectionBtn = document.getElementById('swapDirection');
   if (swapDirectionBtn) {
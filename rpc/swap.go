@@ -56,6 +56,7 @@ func NewSwapService(
 // PastSwap represents a past swap returned by swap_getPast.
 type PastSwap struct {
 	ID             types.Hash          `json:"id" validate:"required"`
+	PeerID         peer.ID             `json:"peerID" validate:"required"`
 	Provided       coins.ProvidesCoin  `json:"provided" validate:"required"`
 	EthAsset       types.EthAsset      `json:"ethAsset"`
 	ProvidedAmount *apd.Decimal        `json:"providedAmount" validate:"required"`
@@ -110,6 +111,7 @@ func (s *SwapService) GetPast(_ *http.Request, req *GetPastRequest, resp *GetPas
 	for i, info := range swaps {
 		resp.Swaps[i] = &PastSwap{
 			ID:             info.OfferID,
+			PeerID:         info.PeerID,
 			Provided:       info.Provides,
 			EthAsset:       info.EthAsset,
 			ProvidedAmount: info.ProvidedAmount,
@@ -132,6 +134,7 @@ func (s *SwapService) GetPast(_ *http.Request, req *GetPastRequest, resp *GetPas
 // OngoingSwap represents an ongoing swap returned by swap_getOngoing.
 type OngoingSwap struct {
 	ID                        types.Hash          `json:"id" validate:"required"`
+	PeerID                    peer.ID             `json:"peerID" validate:"required"`
 	Provided                  coins.ProvidesCoin  `json:"provided" validate:"required"`
 	EthAsset                  types.EthAsset      `json:"ethAsset"`
 	ProvidedAmount            *apd.Decimal        `json:"providedAmount" validate:"required"`
@@ -184,6 +187,7 @@ func (s *SwapService) GetOngoing(_ *http.Request, req *GetOngoingRequest, resp *
 	for i, info := range swaps {
 		swap := new(OngoingSwap)
 		swap.ID = info.OfferID
+		swap.PeerID = info.PeerID
 		swap.Provided = info.Provides
 		swap.EthAsset = info.EthAsset
 		swap.ProvidedAmount = info.ProvidedAmount
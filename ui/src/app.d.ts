@@ -1,5 +1,7 @@
 // See https://kit.svelte.dev/docs/types#app
 // for information about these interfaces
+import type { Eip1193Provider } from 'ethers';
+
 declare global {
 	namespace App {
 		// interface Error {}
@@ -7,6 +9,12 @@ declare global {
 		// interface PageData {}
 		// interface Platform {}
 	}
+
+	interface Window {
+		ethereum?: Eip1193Provider & {
+			on: (event: string, handler: (...args: any[]) => void) => void;
+		};
+	}
 }
 
 export {};
@@ -0,0 +1,48 @@
+import { writable } from 'svelte/store';
+import { swapd } from '../utils';
+import { notifyError } from './errorStore';
+import type { DaemonVersionResult } from '../types';
+
+export const daemonVersion = writable<DaemonVersionResult | undefined>(undefined, (set) => {
+	swapd.daemon.version().then(set).catch(notifyError);
+});
+
+// in seconds
+export const swapTimeout = writable<number | undefined>(undefined, () => {
+	getSwapTimeout();
+});
+
+export const getSwapTimeout = () =>
+	swapd.personal
+		.getSwapTimeout()
+		.then(({ timeout }) => swapTimeout.set(timeout))
+		.catch(notifyError);
+
+// setSwapTimeout only applies to swaps started afterwards.
+export const setSwapTimeout = (timeout: number) =>
+	swapd.personal.setSwapTimeout({ timeout }).then(getSwapTimeout);
+
+// ethereum chain IDs by daemonVersion's env, see common/consts.go
+const ENV_CHAIN_IDS: Record<string, number> = {
+	mainnet: 1,
+	stagenet: 11155111,
+	dev: 1337
+};
+
+// ethChainIdForEnv returns the ID of the ethereum chain swapd runs on in env.
+export const ethChainIdForEnv = (env: string | undefined): number | undefined =>
+	env === undefined ? undefined : ENV_CHAIN_IDS[env];
+
+// gasPriceOverride is the gas price (in wei) last set with setGasPrice. swapd
+// doesn't report its override, so an override set before this page was loaded
+// is unknown.
+export const gasPriceOverride = writable<bigint | undefined>(undefined);
+
+// setGasPrice overrides the gas price (in wei) of swapd's transactions until it
+// restarts. Zero reverts to the price suggested by the ethereum node.
+export const setGasPrice = (gasPrice: number) =>
+	swapd.personal
+		.setGasPrice({ gasPrice })
+		.then(() => gasPriceOverride.set(gasPrice ? BigInt(gasPrice) : undefined));
+
+export const shutdownDaemon = () => swapd.daemon.shutdown();
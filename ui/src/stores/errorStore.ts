@@ -0,0 +1,34 @@
+import { writable } from 'svelte/store';
+import { RpcConnectionError, RpcError } from '../utils/rpcApi';
+
+export interface Notification {
+	id: number;
+	message: string;
+}
+
+const DISMISS_AFTER = 8000;
+
+// Errors shown as toasts, so a failed request doesn't just leave a page empty.
+export const errors = writable<Notification[]>([]);
+
+let nextId = 0;
+
+export const dismissError = (id: number) =>
+	errors.update((notifications) => notifications.filter((n) => n.id !== id));
+
+const describe = (error: unknown): string => {
+	if (error instanceof RpcError) return `${error.method}: ${error.message}`;
+	if (error instanceof RpcConnectionError) return error.message;
+	if (error instanceof Error) return error.message;
+	return String(error);
+};
+
+// notifyError shows the error to the user. Cancelled requests are expected,
+// e.g. when leaving a page, so they are not reported.
+export const notifyError = (error: unknown) => {
+	if (error instanceof RpcConnectionError && error.reason === 'cancelled') return;
+	console.error(error);
+	const id = nextId++;
+	errors.update((notifications) => [...notifications, { id, message: describe(error) }]);
+	setTimeout(() => dismissError(id), DISMISS_AFTER);
+};
@@ -0,0 +1,91 @@
+import { swapd, getWsAddress } from '../utils';
+import { writable } from 'svelte/store';
+import { notifyError } from './errorStore';
+import type { MakeOfferRequest, MakeOfferResult, OfferRaw, SwapStatus } from '../types';
+
+export const isLoadingMyOffers = writable(false);
+export const myOffers = writable<OfferRaw[]>([], () => {
+	getMyOffers();
+});
+
+// Status updates received for offers made from this page, keyed by offer ID.
+// Offers disappear from swap_getOffers once taken, this keeps them visible.
+export const offerStatuses = writable<Record<string, SwapStatus[]>>({});
+
+const ongoingStatuses: SwapStatus[] = [
+	'ExpectingKeys',
+	'KeysExchanged',
+	'ETHLocked',
+	'XMRLocked',
+	'ContractReady',
+	'SweepingXMR'
+];
+
+export const getMyOffers = () => {
+	isLoadingMyOffers.set(true);
+	return swapd.swap
+		.getOffers()
+		.then((result) => {
+			myOffers.set(result?.offers || []);
+		})
+		.catch(notifyError)
+		.finally(() => isLoadingMyOffers.set(false));
+};
+
+// clearOffers removes the given offers, or all of them if none are given.
+export const clearOffers = (offerIDs: string[] = []) =>
+	swapd.swap.clearOffers({ offerIDs }).then(getMyOffers);
+
+// makeOffer creates an offer through net_makeOfferAndSubscribe. It resolves
+// with the new offer's ID once swapd accepted it, and keeps the websocket open
+// to record the swap's status updates after someone takes the offer.
+export const makeOffer = (params: MakeOfferRequest): Promise<MakeOfferResult> =>
+	new Promise((resolve, reject) => {
+		const webSocket = new WebSocket(getWsAddress());
+		let offerID = '';
+
+		webSocket.onopen = () => {
+			const req = {
+				jsonrpc: '2.0',
+				id: 0,
+				method: 'net_makeOfferAndSubscribe',
+				params
+			};
+			webSocket.send(JSON.stringify(req));
+		};
+
+		webSocket.onmessage = (msg) => {
+			const { result, error } = JSON.parse(msg.data);
+			if (error) {
+				console.error(error);
+				webSocket.close();
+				reject(new Error(error.message));
+				return;
+			}
+
+			if (!offerID) {
+				offerID = result.offerID;
+				offerStatuses.update((statuses) => ({ ...statuses, [offerID]: [] }));
+				getMyOffers();
+				resolve(result);
+				return;
+			}
+
+			const status: SwapStatus = result.status;
+			offerStatuses.update((statuses) => ({
+				...statuses,
+				[offerID]: [...(statuses[offerID] || []), status]
+			}));
+
+			// the offer is no longer listed once it was taken
+			getMyOffers();
+			if (!ongoingStatuses.includes(status)) {
+				webSocket.close();
+			}
+		};
+
+		webSocket.onerror = (event: Event) => {
+			console.error(event);
+			reject(new Error('Swapd websocket error'));
+		};
+	});
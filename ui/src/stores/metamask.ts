@@ -1,88 +1,47 @@
-import {providers, utils} from "ethers"
-import detectEthereumProvider from "@metamask/detect-provider"
-import { writable } from 'svelte/store';
-
-export const currentAccount = writable("");
-
-// detect provider using @metamask/detect-provider
-detectEthereumProvider()
-.then((provider) => {
-    if (!provider) {
-		console.log('Please install MetaMask!');
-		return
-	}
-        provider.on('accountsChanged', handleAccountsChanged);
-		provider.on('chainChanged', () => window.location.reload());
-
-        checkConnection();
-})
-
-export function connectAccount() {
-	if (!window.ethereum) return
-
-    window.ethereum
-        .request({ method: 'eth_requestAccounts'})
-        .then(handleAccountsChanged)
-        .catch((err: any) => {
-            if (err.code === 4001) {
-                console.log('Please connect to MetaMask.');
-            } else {
-                console.error(err);
-            }
-        });
-}
-
-function checkConnection() {
-	if (!window.ethereum) return
-
-    window.ethereum
-        .request({ method: 'eth_accounts' })
-        .then(handleAccountsChanged)
-        .catch(console.error);
-}
-
-
-const handleAccountsChanged = (accounts: string[]) => {
-  if (accounts.length === 0) {
-    // MetaMask is locked or the user has not connected any accounts
-    console.log('Please connect to MetaMask.');
-	return 
-  }
-
-  currentAccount.set(accounts[0]);
-}
-
-export const sign = async (msg: string) => {
-	if(!window.ethereum){
-		console.error('no window.ethereum')
-		return
+import { BrowserProvider, decodeBase64, hexlify, parseEther } from "ethers"
+import type { SignerResponse } from '../types'
+import { get } from 'svelte/store'
+import { chainId, connectWallet, getWalletProvider } from './walletAdapter'
+
+// The selected wallet comes from the wallet adapter, which follows account and
+// chain changes itself. Providers are created per call, so a chain change
+// needs no reload.
+export { currentAccount, chainId } from './walletAdapter'
+export const connectAccount = connectWallet
+
+// sign asks the selected wallet to sign and submit a transaction that swapd
+// pushed over the signer_subscribe websocket. It resolves to the transaction
+// hash, or to an empty string if the wallet refused or failed to send it.
+export const sign = async (msg: string): Promise<string> => {
+	const provider = getWalletProvider()
+	if(!provider){
+		console.error('no browser wallet')
+		return ""
 	}
 
-	const ethersProvider = new providers.Web3Provider(window.ethereum, 'any');
-	const tx = JSON.parse(msg)
-	const signer = ethersProvider.getSigner()
-	console.log('signer...', signer)
+	const ethersProvider = new BrowserProvider(provider, 'any');
+	const tx: SignerResponse = JSON.parse(msg)
+	const signer = await ethersProvider.getSigner()
 	let value
 
-	if (tx.value != "") {
-		value = utils.parseEther(tx.value)
+	// swapd sends the value in ETH (not wei) and omits it for contract calls
+	// that don't transfer ether.
+	if (tx.value && tx.value !== "0") {
+		value = parseEther(tx.value)
 	}
 
-	let params = 
+	// tx.data is a Go []byte, which is serialized as base64
+	const params =
 	  {
-	    from: signer.getAddress(),
 	    to: tx.to,
-	    gasPrice: ethersProvider.getGasPrice(), 
-	    gasLimit: "200000",
 	    value,
-	    data: tx.data,
+	    data: hexlify(decodeBase64(tx.data)),
 	  }
 
 	console.log("sending transaction:", params)
 	let res
 	try {
-	 	res = await signer.sendTransaction(params)		
-		console.log(res)
+	 	res = await signer.sendTransaction(params)
 	} catch (e) {
 		console.error("tx failed", e)
 		return ""
@@ -90,3 +49,24 @@ export const sign = async (msg: string) => {
 
 	return res.hash
 }
+
+// estimateFee prices a gas limit at the fee reported by the selected wallet's
+// node. This is a rough, wallet-side estimate: it resolves to undefined when
+// there is no wallet to ask, or when the wallet is on another chain than
+// expectedChainId, as its node's fees say nothing about swapd's chain.
+export const estimateFee = async (
+	gasLimit: bigint,
+	expectedChainId: number | undefined
+): Promise<bigint | undefined> => {
+	const provider = getWalletProvider()
+	if (!provider || expectedChainId === undefined || get(chainId) !== expectedChainId) return
+
+	try {
+		const { maxFeePerGas, gasPrice } = await new BrowserProvider(provider, 'any').getFeeData()
+		const price = maxFeePerGas ?? gasPrice
+		return price === null ? undefined : price * gasLimit
+	} catch (e) {
+		console.error(e)
+		return
+	}
+}
@@ -1,8 +1,9 @@
-import { rpcRequest } from '../utils';
+import { swapd } from '../utils';
+import { notifyError } from './errorStore';
 import { derived, writable } from 'svelte/store';
 import type { Readable } from 'svelte/store'
 import { peers } from './peerStore'
-import type { NetQueryPeerResult, Offer } from '../types';
+import type { Offer } from '../types';
 import { intToHexString } from '../utils';
 
 export const isLoadingOffers = writable(false)
@@ -26,14 +27,14 @@ export const refreshOffers = ($peers: string[]) =>
 
 export const getOffers = async (peerAddress: string) => {
     isLoadingOffers.set(true)
-    return rpcRequest<NetQueryPeerResult | undefined>('net_queryPeer', { "peerID": peerAddress })
-        .then(({ result }): Offer[] => {
+    return swapd.net.queryPeer({ peerID: peerAddress })
+        .then((result): Offer[] => {
             return result?.offers.map(offer => ({
                 peerID: peerAddress,
                 ...offer
             })) || []
         })
-        .catch(console.error)
+        .catch(notifyError)
         .finally(() => isLoadingOffers.set(false))
 }
 
@@ -1,6 +1,6 @@
-import { rpcRequest } from '../utils';
+import { swapd } from '../utils';
+import { notifyError } from './errorStore';
 import { writable } from 'svelte/store';
-import type { NetDiscoverResult } from '../types/NetDiscoverResults';
 
 export const isLoadingPeers = writable(false)
 export const peers = writable<string[]>([], () => {
@@ -9,9 +9,9 @@ export const peers = writable<string[]>([], () => {
 
 export const getPeers = () => {
     isLoadingPeers.set(true)
-    return rpcRequest<NetDiscoverResult>('net_discover', { searchTime: 3 })
-        .then(({ result }) => { peers.set([...new Set(result.peerIDs)]) })
-        .catch(console.error)
+    return swapd.net.discover({ searchTime: 3 })
+        .then((result) => { peers.set([...new Set(result.peerIDs)]) })
+        .catch(notifyError)
         .finally(() => {
             isLoadingPeers.set(false)
         })
@@ -0,0 +1,157 @@
+import { describe, expect, it } from 'vitest';
+import {
+	MaxPriceSpread,
+	SwapdMaxPriceAge,
+	aggregate,
+	median,
+	quote as newQuote,
+	spread,
+	type PriceQuote
+} from './priceStore';
+
+const quote = (
+	source: string,
+	xmrPrice: number,
+	ethPrice: number | undefined,
+	stale = false
+): PriceQuote => ({ source, xmrPrice, ethPrice, updatedAt: new Date(0), stale });
+
+describe('median', () => {
+	it('takes the middle value of an odd count', () => {
+		expect(median([3])).toBe(3);
+		expect(median([5, 1, 3])).toBe(3);
+	});
+
+	it('averages the middle values of an even count', () => {
+		expect(median([4, 1])).toBe(2.5);
+		expect(median([10, 1, 3, 5])).toBe(4);
+	});
+
+	it("doesn't reorder its input", () => {
+		const values = [3, 1, 2];
+		median(values);
+		expect(values).toEqual([3, 1, 2]);
+	});
+});
+
+describe('spread', () => {
+	it('is the range as a share of the median', () => {
+		expect(spread([99, 100, 101])).toBeCloseTo(0.02);
+		expect(spread([150, 50])).toBe(1);
+	});
+
+	it('is zero for a single value', () => {
+		expect(spread([100])).toBe(0);
+		expect(spread([])).toBe(0);
+	});
+});
+
+describe('aggregate', () => {
+	it('takes the median of an odd number of sources', () => {
+		const market = aggregate(
+			[quote('a', 150, 2000), quote('b', 152, 2010), quote('c', 151, 1990)],
+			[]
+		);
+		expect(market.xmrPrice).toBe(151);
+		expect(market.ethPrice).toBe(2000);
+		expect(market.exchangeRate).toBeCloseTo(151 / 1990);
+		expect(market.stale).toBe(false);
+		expect(market.disagree).toBe(false);
+	});
+
+	it('takes the median of an even number of sources', () => {
+		const market = aggregate([quote('a', 150, 2000), quote('b', 152, 2020)], []);
+		expect(market.xmrPrice).toBe(151);
+		expect(market.ethPrice).toBe(2010);
+		expect(market.exchangeRate).toBeCloseTo((150 / 2000 + 152 / 2020) / 2);
+	});
+
+	it('ignores stale quotes while fresh ones are available', () => {
+		const market = aggregate([quote('a', 150, 2000), quote('b', 300, 4000, true)], []);
+		expect(market.xmrPrice).toBe(150);
+		expect(market.stale).toBe(false);
+		expect(market.disagree).toBe(false);
+		// stale quotes are still listed
+		expect(market.quotes).toHaveLength(2);
+	});
+
+	it("counts swapd's hour old quote along with fresh HTTP quotes", () => {
+		const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+		const market = aggregate(
+			[
+				newQuote('CoinGecko', 150, 2000, new Date()),
+				newQuote('swapd', 152, 2020, hourAgo, SwapdMaxPriceAge)
+			],
+			[]
+		);
+		expect(market.quotes.map((q) => q.stale)).toEqual([false, false]);
+		expect(market.xmrPrice).toBe(151);
+		expect(market.ethPrice).toBe(2010);
+		expect(market.stale).toBe(false);
+	});
+
+	it("marks swapd's quote stale after a missed heartbeat", () => {
+		const dayAgo = new Date(Date.now() - SwapdMaxPriceAge - 60 * 1000);
+		expect(newQuote('swapd', 152, 2020, dayAgo, SwapdMaxPriceAge).stale).toBe(true);
+		// HTTP quotes are stale after ten minutes
+		expect(newQuote('CoinGecko', 150, 2000, new Date(Date.now() - 11 * 60 * 1000)).stale).toBe(
+			true
+		);
+	});
+
+	it('falls back to stale quotes when all are stale', () => {
+		const market = aggregate(
+			[quote('a', 150, 2000, true), quote('b', 160, 2000, true), quote('c', 155, 2000, true)],
+			[]
+		);
+		expect(market.xmrPrice).toBe(155);
+		expect(market.stale).toBe(true);
+	});
+
+	it('prices ETH with the sources that have an ETH price', () => {
+		const market = aggregate(
+			[quote('a', 150, 2000), quote('b', 151, undefined), quote('c', 152, undefined)],
+			[]
+		);
+		expect(market.xmrPrice).toBe(151);
+		expect(market.ethPrice).toBe(2000);
+		expect(market.exchangeRate).toBeCloseTo(150 / 2000);
+	});
+
+	it('leaves ETH unpriced without ETH prices', () => {
+		const market = aggregate([quote('a', 150, undefined)], []);
+		expect(market.xmrPrice).toBe(150);
+		expect(market.ethPrice).toBeUndefined();
+		expect(market.exchangeRate).toBeUndefined();
+		expect(market.spread).toBe(0);
+	});
+
+	it('flags sources that disagree', () => {
+		const market = aggregate([quote('a', 150, 2000), quote('b', 160, 2000)], []);
+		expect(market.spread).toBeCloseTo(10 / 155);
+		expect(market.spread).toBeGreaterThan(MaxPriceSpread);
+		expect(market.disagree).toBe(true);
+	});
+
+	it('flags disagreeing ETH prices', () => {
+		const market = aggregate([quote('a', 150, 2000), quote('b', 150, 2200)], []);
+		expect(market.disagree).toBe(true);
+	});
+
+	it('keeps the errors of sources that did not answer', () => {
+		const errors = [{ source: 'b', message: 'HTTP 429' }];
+		expect(aggregate([quote('a', 150, 2000)], errors).errors).toEqual(errors);
+	});
+
+	it('throws when no source answered', () => {
+		expect(() =>
+			aggregate(
+				[],
+				[
+					{ source: 'swapd', message: 'no pricefeed' },
+					{ source: 'CoinGecko', message: 'HTTP 429' }
+				]
+			)
+		).toThrow('No price source is available: swapd: no pricefeed, CoinGecko: HTTP 429');
+	});
+});
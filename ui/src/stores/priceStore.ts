@@ -0,0 +1,237 @@
+import { writable } from 'svelte/store';
+import { EthTokenInfo, exchangeRate, swapd } from '../utils';
+import type { TokenInfo } from '../types';
+
+// An HTTP source answers a GET request to url with JSON, the USD prices are
+// read from the dotted paths, e.g. "monero.usd" or "result.XXMRZUSD.c.0".
+// Sources without ethPath only price XMR.
+export type HttpPriceSource = {
+	name: string;
+	url: string;
+	xmrPath: string;
+	ethPath?: string;
+};
+
+export type PriceQuote = {
+	source: string;
+	xmrPrice: number;
+	ethPrice?: number;
+	updatedAt: Date;
+	stale: boolean;
+};
+
+// MarketPrice is the median of every source that answered. Stale quotes are
+// only used when no fresh ones are available.
+export type MarketPrice = {
+	// in USD
+	xmrPrice: number;
+	ethPrice?: number;
+	// XMR/ETH price ratio, the same unit as an ETH offer's exchange rate
+	exchangeRate?: number;
+	quotes: PriceQuote[];
+	// sources that didn't answer, with the reason
+	errors: { source: string; message: string }[];
+	stale: boolean;
+	// largest difference between the sources, as a share of the median
+	spread: number;
+	disagree: boolean;
+};
+
+export const DefaultPriceSources: HttpPriceSource[] = [
+	{
+		name: 'CoinGecko',
+		url: 'https://api.coingecko.com/api/v3/simple/price?ids=monero,ethereum&vs_currencies=usd',
+		xmrPath: 'monero.usd',
+		ethPath: 'ethereum.usd'
+	},
+	{
+		name: 'Kraken',
+		url: 'https://api.kraken.com/0/public/Ticker?pair=XMRUSD,ETHUSD',
+		xmrPath: 'result.XXMRZUSD.c.0',
+		ethPath: 'result.XETHZUSD.c.0'
+	}
+];
+
+// HTTP quotes older than this are stale, in milliseconds
+export const MaxPriceAge = 10 * 60 * 1000;
+// swapd's quote is as old as the last update of Chainlink's feeds, which only
+// update on a price move or once per heartbeat, 24 hours for XMR/USD
+export const SwapdMaxPriceAge = 24 * 60 * 60 * 1000;
+// sources further apart than this share of the median disagree
+export const MaxPriceSpread = 0.02;
+const REFRESH_INTERVAL = 60 * 1000;
+const PRICE_SOURCES_KEY = 'atomicswap.priceSources';
+
+// Tokens priced at one USD, their offers are compared to the XMR/USD price
+const USD_STABLECOINS = ['USDC', 'USDT', 'DAI'];
+
+// getPriceSources returns the HTTP sources set on the settings page, or the
+// default ones. swapd's pricefeed is always asked as well.
+export const getPriceSources = (): HttpPriceSource[] => {
+	const stored = typeof localStorage !== 'undefined' && localStorage.getItem(PRICE_SOURCES_KEY);
+	return stored ? JSON.parse(stored) : DefaultPriceSources;
+};
+
+// setPriceSources persists the sources for later visits, undefined restores
+// the defaults.
+export const setPriceSources = (sources: HttpPriceSource[] | undefined) => {
+	if (sources) {
+		localStorage.setItem(PRICE_SOURCES_KEY, JSON.stringify(sources));
+	} else {
+		localStorage.removeItem(PRICE_SOURCES_KEY);
+	}
+	refreshMarketPrice();
+};
+
+const readPrice = (data: unknown, path: string): number => {
+	const value = path
+		.split('.')
+		.reduce<any>((node, key) => (node == null ? undefined : node[key]), data);
+	const price = Number(value);
+	if (!(price > 0)) {
+		throw new Error(`no price at ${path}`);
+	}
+	return price;
+};
+
+// quote is stale once it is older than the source's maxAge, in milliseconds
+export const quote = (
+	source: string,
+	xmrPrice: number,
+	ethPrice: number | undefined,
+	updatedAt: Date,
+	maxAge = MaxPriceAge
+): PriceQuote => ({
+	source,
+	xmrPrice,
+	ethPrice,
+	updatedAt,
+	stale: Date.now() - updatedAt.getTime() > maxAge
+});
+
+// swapd reads Chainlink's price feeds, which are only available on mainnet
+const fetchSwapdQuote = async (): Promise<PriceQuote> => {
+	const rates = await swapd.swap.suggestedExchangeRate();
+	const xmrUpdatedAt = new Date(rates.xmrUpdatedAt);
+	const ethUpdatedAt = new Date(rates.ethUpdatedAt);
+	return quote(
+		'swapd',
+		Number(rates.xmrPrice),
+		Number(rates.ethPrice),
+		xmrUpdatedAt < ethUpdatedAt ? xmrUpdatedAt : ethUpdatedAt,
+		SwapdMaxPriceAge
+	);
+};
+
+const fetchHttpQuote = async (source: HttpPriceSource): Promise<PriceQuote> => {
+	const response = await fetch(source.url);
+	if (!response.ok) {
+		throw new Error(`HTTP ${response.status}`);
+	}
+	const data = await response.json();
+	// HTTP sources quote the current price
+	return quote(
+		source.name,
+		readPrice(data, source.xmrPath),
+		source.ethPath ? readPrice(data, source.ethPath) : undefined,
+		new Date()
+	);
+};
+
+export const median = (values: number[]) => {
+	const sorted = [...values].sort((a, b) => a - b);
+	const middle = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+export const spread = (values: number[]) =>
+	values.length > 1 ? (Math.max(...values) - Math.min(...values)) / median(values) : 0;
+
+// aggregate takes the median of the quotes, it throws if there are none
+export const aggregate = (
+	quotes: PriceQuote[],
+	errors: { source: string; message: string }[]
+): MarketPrice => {
+	if (quotes.length === 0) {
+		throw new Error(
+			`No price source is available: ${errors.map((e) => `${e.source}: ${e.message}`).join(', ')}`
+		);
+	}
+	const fresh = quotes.filter((q) => !q.stale);
+	const used = fresh.length > 0 ? fresh : quotes;
+
+	const rates = used
+		.filter((q) => q.ethPrice !== undefined)
+		.map((q) => q.xmrPrice / (q.ethPrice as number));
+	const ethPrices = used.flatMap((q) => (q.ethPrice === undefined ? [] : [q.ethPrice]));
+	const xmrPrices = used.map((q) => q.xmrPrice);
+	const largestSpread = Math.max(spread(xmrPrices), spread(ethPrices));
+
+	return {
+		xmrPrice: median(xmrPrices),
+		ethPrice: ethPrices.length > 0 ? median(ethPrices) : undefined,
+		exchangeRate: rates.length > 0 ? median(rates) : undefined,
+		quotes,
+		errors,
+		stale: fresh.length === 0,
+		spread: largestSpread,
+		disagree: largestSpread > MaxPriceSpread
+	};
+};
+
+export const priceError = writable('');
+
+// marketPrice is refreshed every minute while it is subscribed to. It stays
+// undefined while no source answered, there is no fallback price.
+export const marketPrice = writable<MarketPrice | undefined>(undefined, () => {
+	refreshMarketPrice();
+	const interval = setInterval(refreshMarketPrice, REFRESH_INTERVAL);
+	return () => clearInterval(interval);
+});
+
+export const refreshMarketPrice = async () => {
+	const sources: { name: string; fetch: () => Promise<PriceQuote> }[] = [
+		{ name: 'swapd', fetch: fetchSwapdQuote },
+		...getPriceSources().map((source) => ({
+			name: source.name,
+			fetch: () => fetchHttpQuote(source)
+		}))
+	];
+	const results = await Promise.allSettled(sources.map((source) => source.fetch()));
+
+	const quotes: PriceQuote[] = [];
+	const errors: { source: string; message: string }[] = [];
+	results.forEach((result, i) => {
+		if (result.status === 'fulfilled') {
+			quotes.push(result.value);
+		} else {
+			errors.push({ source: sources[i].name, message: (result.reason as Error).message });
+		}
+	});
+
+	try {
+		marketPrice.set(aggregate(quotes, errors));
+		priceError.set('');
+	} catch (e) {
+		marketPrice.set(undefined);
+		priceError.set((e as Error).message);
+	}
+};
+
+// marketRate is the market's price of one XMR in the token, or undefined if
+// the token can't be priced.
+export const marketRate = (market: MarketPrice | undefined, token: TokenInfo) => {
+	if (!market) return;
+	if (token.address === EthTokenInfo.address) return market.exchangeRate;
+	if (USD_STABLECOINS.includes(token.symbol.toString())) return market.xmrPrice;
+};
+
+// offerPremium is how much more than the market an offer asks for its XMR, as
+// a share of the market price. A negative premium is a discount.
+export const offerPremium = (offerRate: string, market: number) =>
+	exchangeRate(offerRate).toNumber() / market - 1;
+
+export const formatPremium = (premium: number) =>
+	premium >= 0
+		? `${(premium * 100).toFixed(1)}% above market`
+		: `${(-premium * 100).toFixed(1)}% below market`;
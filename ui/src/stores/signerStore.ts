@@ -0,0 +1,57 @@
+import { writable } from 'svelte/store';
+import { getWsAddress } from '../utils';
+import { sign } from './metamask';
+import type { SignerRequest, SignerTxSigned } from '../types';
+
+// When enabled, swap transactions are signed by the browser wallet instead of
+// swapd's own key. swapd must be started with --external-signer for this to work.
+export const useExternalSigner = writable(false);
+export const signerError = writable('');
+export const signedTxHashes = writable<string[]>([]);
+
+// subscribeSigner opens a signer_subscribe websocket for a swap that was already
+// taken. Each transaction pushed by swapd is signed and sent by the wallet, and
+// the resulting hash is returned to swapd over the same connection.
+export const subscribeSigner = (params: SignerRequest): WebSocket => {
+	const webSocket = new WebSocket(getWsAddress());
+	signerError.set('');
+	signedTxHashes.set([]);
+
+	webSocket.onopen = () => {
+		const req = {
+			jsonrpc: '2.0',
+			id: 0,
+			method: 'signer_subscribe',
+			params
+		};
+		webSocket.send(JSON.stringify(req));
+	};
+
+	webSocket.onmessage = async (msg) => {
+		const { error } = JSON.parse(msg.data);
+		if (error) {
+			console.error(error);
+			signerError.set(error.message);
+			return;
+		}
+
+		const txHash = await sign(msg.data);
+		if (!txHash) {
+			// swapd blocks until it gets a hash, closing lets it fail the swap step
+			signerError.set('The transaction was rejected or could not be sent');
+			webSocket.close();
+			return;
+		}
+
+		const signed: SignerTxSigned = { offerID: params.offerID, txHash };
+		webSocket.send(JSON.stringify(signed));
+		signedTxHashes.update((hashes) => [...hashes, txHash]);
+	};
+
+	webSocket.onerror = (event: Event) => {
+		console.error(event);
+		signerError.set('Signer websocket error');
+	};
+
+	return webSocket;
+};
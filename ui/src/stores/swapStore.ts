@@ -0,0 +1,72 @@
+import { swapd, RpcError } from '../utils';
+import { writable } from 'svelte/store';
+import { notifyError } from './errorStore';
+import type { OngoingSwap, PastSwap } from '../types';
+
+export const isLoadingSwaps = writable(false);
+export const ongoingSwaps = writable<OngoingSwap[]>([], () => {
+	getOngoingSwaps();
+});
+export const pastSwaps = writable<PastSwap[]>([], () => {
+	getPastSwaps();
+});
+
+export type SwapDetails =
+	| { ongoing: true; swap: OngoingSwap; info: string }
+	| { ongoing: false; swap: PastSwap };
+
+export const getOngoingSwaps = () => {
+	isLoadingSwaps.set(true);
+	return swapd.swap
+		.getOngoing({})
+		.then((result) => {
+			ongoingSwaps.set(result?.swaps || []);
+		})
+		.catch(notifyError)
+		.finally(() => isLoadingSwaps.set(false));
+};
+
+export const getPastSwaps = () => {
+	isLoadingSwaps.set(true);
+	return swapd.swap
+		.getPast({})
+		.then((result) => {
+			pastSwaps.set(result?.swaps || []);
+		})
+		.catch(notifyError)
+		.finally(() => isLoadingSwaps.set(false));
+};
+
+export const refreshSwaps = () => Promise.all([getOngoingSwaps(), getPastSwaps()]);
+
+// swapd answers with an RpcError when it has no swap for an offer ID
+const ignoreRpcError = (e: unknown) => {
+	if (e instanceof RpcError) return undefined;
+	throw e;
+};
+
+// getSwapDetails looks the swap up among the ongoing swaps first, as that is
+// where swaps are while they run, and falls back to the past swaps. It
+// resolves to undefined if swapd has neither.
+export const getSwapDetails = async (offerID: string): Promise<SwapDetails | undefined> => {
+	const ongoing = await swapd.swap.getOngoing({ offerID }).catch(ignoreRpcError);
+	const ongoingSwap = ongoing?.swaps[0];
+	if (ongoingSwap) {
+		const status = await swapd.swap.getStatus({ id: offerID });
+		return { ongoing: true, swap: ongoingSwap, info: status?.info || '' };
+	}
+
+	const past = await swapd.swap.getPast({ offerID }).catch(ignoreRpcError);
+	const pastSwap = past?.swaps[0];
+	if (pastSwap) {
+		return { ongoing: false, swap: pastSwap };
+	}
+};
+
+// claimSwap, refundSwap and cancelSwap are manual fail-safes for swaps that
+// stalled. swapd checks the contract rules, the UI only hints when to use them.
+export const claimSwap = (offerID: string) => swapd.swap.claim({ offerID });
+
+export const refundSwap = (offerID: string) => swapd.swap.refund({ offerID });
+
+export const cancelSwap = (offerID: string) => swapd.swap.cancel({ offerID });
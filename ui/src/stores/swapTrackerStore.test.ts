@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { get } from 'svelte/store';
+
+const swapdMock = vi.hoisted(() => ({
+	getStatus: vi.fn(),
+	getPast: vi.fn()
+}));
+
+vi.mock('../utils', () => {
+	class RpcError extends Error {}
+	return {
+		RpcError,
+		getWsAddress: () => 'ws://swapd/ws',
+		swapd: { swap: swapdMock }
+	};
+});
+
+import { RpcError } from '../utils';
+import { resumeTrackedSwaps, trackedSwaps, untrackSwap } from './swapTrackerStore';
+
+class FakeWebSocket {
+	static OPEN = 1;
+	static instances: FakeWebSocket[] = [];
+	readyState = 0;
+	sent: { method: string; params: Record<string, unknown> }[] = [];
+	onopen?: () => Promise<void>;
+	onmessage?: (msg: { data: string }) => void;
+	onclose?: () => void;
+
+	constructor(readonly url: string) {
+		FakeWebSocket.instances.push(this);
+	}
+
+	open() {
+		this.readyState = FakeWebSocket.OPEN;
+		return this.onopen?.();
+	}
+
+	send(data: string) {
+		this.sent.push(JSON.parse(data));
+	}
+
+	receive(result: unknown) {
+		this.onmessage?.({ data: JSON.stringify({ result }) });
+	}
+
+	close() {
+		this.readyState = 3;
+		this.onclose?.();
+	}
+}
+
+const offerID = '0x01';
+
+const statuses = () => get(trackedSwaps)[offerID].timeline.map((update) => update.status);
+
+describe('resumeTrackedSwaps', () => {
+	beforeEach(() => {
+		vi.stubGlobal('WebSocket', FakeWebSocket);
+		FakeWebSocket.instances = [];
+		trackedSwaps.set({
+			[offerID]: {
+				offerID,
+				timeline: [{ status: 'ETHLocked', time: new Date(0).toISOString() }],
+				done: false,
+				connected: false
+			}
+		});
+	});
+
+	afterEach(() => {
+		untrackSwap(offerID);
+		vi.unstubAllGlobals();
+		vi.resetAllMocks();
+	});
+
+	it('catches up on a status that changed while disconnected', async () => {
+		swapdMock.getStatus.mockResolvedValue({ status: 'ContractReady', info: '', startTime: '' });
+
+		resumeTrackedSwaps();
+		const [socket] = FakeWebSocket.instances;
+		await socket.open();
+
+		expect(swapdMock.getStatus).toHaveBeenCalledWith({ id: offerID });
+		expect(statuses()).toEqual(['ETHLocked', 'ContractReady']);
+		expect(socket.sent).toMatchObject([{ method: 'swap_subscribeStatus', params: { offerID } }]);
+
+		// later transitions come from the subscription
+		socket.receive({ status: 'Success' });
+		expect(statuses()).toEqual(['ETHLocked', 'ContractReady', 'Success']);
+		expect(get(trackedSwaps)[offerID].done).toBe(true);
+	});
+
+	it('finishes a swap that ended while disconnected', async () => {
+		swapdMock.getStatus.mockRejectedValue(
+			new RpcError('swap_getStatus', { code: -32000, message: 'no ongoing swap' })
+		);
+		swapdMock.getPast.mockResolvedValue({ swaps: [{ status: 'Refunded' }] });
+
+		resumeTrackedSwaps();
+		const [socket] = FakeWebSocket.instances;
+		await socket.open();
+
+		expect(swapdMock.getPast).toHaveBeenCalledWith({ offerID });
+		expect(statuses()).toEqual(['ETHLocked', 'Refunded']);
+		expect(get(trackedSwaps)[offerID].done).toBe(true);
+		// there is nothing left to subscribe to
+		expect(socket.sent).toEqual([]);
+		expect(socket.readyState).toBe(3);
+	});
+
+	it("doesn't repeat a status that didn't change", async () => {
+		swapdMock.getStatus.mockResolvedValue({ status: 'ETHLocked', info: '', startTime: '' });
+
+		resumeTrackedSwaps();
+		await FakeWebSocket.instances[0].open();
+
+		expect(statuses()).toEqual(['ETHLocked']);
+	});
+});
@@ -0,0 +1,184 @@
+import { browser } from '$app/environment';
+import { get, writable } from 'svelte/store';
+import { RpcError, getWsAddress, swapd } from '../utils';
+import type { SwapStatus } from '../types';
+
+export interface StatusUpdate {
+	status: SwapStatus;
+	time: string;
+}
+
+export interface TrackedSwap {
+	offerID: string;
+	timeline: StatusUpdate[];
+	done: boolean;
+	connected: boolean;
+	error?: string;
+}
+
+const STORAGE_KEY = 'atomicswap.trackedSwaps';
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+const finalStatuses: SwapStatus[] = ['Success', 'Refunded', 'Aborted'];
+
+const load = (): Record<string, TrackedSwap> => {
+	if (!browser) return {};
+	try {
+		const tracked: Record<string, TrackedSwap> = JSON.parse(
+			localStorage.getItem(STORAGE_KEY) || '{}'
+		);
+		// nothing is connected right after a page load
+		Object.values(tracked).forEach((swap) => (swap.connected = false));
+		return tracked;
+	} catch (e) {
+		console.error(e);
+		return {};
+	}
+};
+
+// Swaps followed by this browser, keyed by offer ID. They are persisted so the
+// progress survives a page reload, while the swap keeps running in swapd.
+export const trackedSwaps = writable<Record<string, TrackedSwap>>(load());
+
+trackedSwaps.subscribe((tracked) => {
+	if (browser) localStorage.setItem(STORAGE_KEY, JSON.stringify(tracked));
+});
+
+const sockets = new Map<string, WebSocket>();
+const reconnectTimers = new Map<string, ReturnType<typeof setTimeout>>();
+
+const updateSwap = (offerID: string, update: (swap: TrackedSwap) => TrackedSwap) =>
+	trackedSwaps.update((tracked) =>
+		tracked[offerID] ? { ...tracked, [offerID]: update(tracked[offerID]) } : tracked
+	);
+
+const addStatus = (offerID: string, status: SwapStatus) =>
+	updateSwap(offerID, (swap) => {
+		const last = swap.timeline[swap.timeline.length - 1];
+		// re-attaching to a finished swap reports its final status again
+		const timeline =
+			last?.status === status
+				? swap.timeline
+				: [...swap.timeline, { status, time: new Date().toISOString() }];
+		return { ...swap, timeline, done: finalStatuses.includes(status) };
+	});
+
+// swapd answers with an error for swaps it doesn't have, e.g. swap_getStatus
+// for a swap that already finished
+const ignoreRpcError = (e: unknown) => {
+	if (e instanceof RpcError) return undefined;
+	throw e;
+};
+
+// currentStatus reads a swap's status from swapd, from the ongoing swaps or
+// else the past ones.
+const currentStatus = async (offerID: string): Promise<SwapStatus | undefined> => {
+	const ongoing = await swapd.swap.getStatus({ id: offerID }).catch(ignoreRpcError);
+	if (ongoing) return ongoing.status;
+	const past = await swapd.swap.getPast({ offerID }).catch(ignoreRpcError);
+	return past?.swaps[0]?.status;
+};
+
+// connect sends a subscription request and records every status update. If the
+// connection drops before the swap finished, it re-attaches with
+// swap_subscribeStatus after an exponentially growing delay. That subscription
+// only reports later transitions, so the current status is read first: it
+// catches up on what happened while the tracker was disconnected.
+const connect = (
+	offerID: string,
+	method: string,
+	params: Record<string, unknown>,
+	delay = MIN_RECONNECT_DELAY
+) => {
+	const webSocket = new WebSocket(getWsAddress());
+	sockets.set(offerID, webSocket);
+
+	webSocket.onopen = async () => {
+		updateSwap(offerID, (swap) => ({ ...swap, connected: true, error: undefined }));
+		delay = MIN_RECONNECT_DELAY;
+		if (method === 'swap_subscribeStatus') {
+			try {
+				const status = await currentStatus(offerID);
+				if (status) addStatus(offerID, status);
+			} catch (e) {
+				console.error(e);
+			}
+			if (get(trackedSwaps)[offerID]?.done) {
+				webSocket.close();
+				return;
+			}
+			if (webSocket.readyState !== WebSocket.OPEN) return;
+		}
+		webSocket.send(JSON.stringify({ jsonrpc: '2.0', id: 0, method, params }));
+	};
+
+	webSocket.onmessage = (msg) => {
+		const { result, error } = JSON.parse(msg.data);
+		if (error) {
+			console.error(error);
+			// errors are final, e.g. the offer could not be taken or the swap is unknown
+			updateSwap(offerID, (swap) => ({ ...swap, done: true, error: error.message }));
+			webSocket.close();
+			return;
+		}
+		if (result?.status) {
+			addStatus(offerID, result.status);
+		}
+	};
+
+	webSocket.onclose = () => {
+		sockets.delete(offerID);
+		let shouldReconnect = false;
+		updateSwap(offerID, (swap) => {
+			shouldReconnect = !swap.done;
+			return { ...swap, connected: false };
+		});
+		if (!shouldReconnect) return;
+
+		const nextDelay = Math.min(delay * 2, MAX_RECONNECT_DELAY);
+		reconnectTimers.set(
+			offerID,
+			setTimeout(() => {
+				reconnectTimers.delete(offerID);
+				connect(offerID, 'swap_subscribeStatus', { offerID }, nextDelay);
+			}, delay)
+		);
+	};
+};
+
+// takeOffer takes an offer through net_takeOfferAndSubscribe and tracks the
+// resulting swap.
+export const takeOffer = (params: {
+	peerID: string;
+	offerID: string;
+	// decimal string in the ETH asset's standard units, see utils/amount
+	providesAmount: string;
+}) => {
+	trackedSwaps.update((tracked) => ({
+		...tracked,
+		[params.offerID]: { offerID: params.offerID, timeline: [], done: false, connected: false }
+	}));
+	connect(params.offerID, 'net_takeOfferAndSubscribe', params);
+};
+
+// resumeTrackedSwaps re-attaches to every unfinished swap, e.g. after a reload.
+export const resumeTrackedSwaps = () => {
+	trackedSwaps.update((tracked) => {
+		Object.values(tracked)
+			.filter((swap) => !swap.done && !sockets.has(swap.offerID))
+			.forEach((swap) => connect(swap.offerID, 'swap_subscribeStatus', { offerID: swap.offerID }));
+		return tracked;
+	});
+};
+
+// untrackSwap stops following a swap and forgets its timeline.
+export const untrackSwap = (offerID: string) => {
+	clearTimeout(reconnectTimers.get(offerID));
+	reconnectTimers.delete(offerID);
+	trackedSwaps.update((tracked) => {
+		const { [offerID]: _, ...rest } = tracked;
+		return rest;
+	});
+	sockets.get(offerID)?.close();
+};
@@ -0,0 +1,145 @@
+import { derived, get, writable } from 'svelte/store';
+import type { Eip1193Provider } from 'ethers';
+
+// EIP-6963 wallet metadata, see https://eips.ethereum.org/EIPS/eip-6963
+export type WalletInfo = {
+	uuid: string;
+	name: string;
+	// data URI of the wallet's icon
+	icon: string;
+	// reverse DNS name, e.g. io.metamask, stable across page loads
+	rdns: string;
+};
+
+export type WalletProvider = Eip1193Provider & {
+	on?: (event: string, handler: (...args: any[]) => void) => void;
+	removeListener?: (event: string, handler: (...args: any[]) => void) => void;
+};
+
+export type Wallet = {
+	info: WalletInfo;
+	provider: WalletProvider;
+};
+
+const SELECTED_WALLET_KEY = 'atomicswap.wallet';
+
+// Wallets that don't announce themselves, found through window.ethereum
+const LEGACY_WALLET_INFO: WalletInfo = {
+	uuid: 'injected',
+	name: 'Browser wallet',
+	icon: '',
+	rdns: 'injected'
+};
+
+// every wallet that announced itself, in announcement order
+export const wallets = writable<Wallet[]>([]);
+export const selectedWallet = writable<Wallet | undefined>();
+export const currentAccount = writable('');
+export const chainId = writable<number | undefined>();
+// set when a wallet has to be picked before connecting
+export const walletPickerOpen = writable(false);
+
+export const hasWallet = derived(wallets, ($wallets) => $wallets.length > 0);
+
+const handleAccountsChanged = (accounts: string[]) => {
+	// an empty list means the wallet is locked or disconnected us
+	currentAccount.set(accounts[0] ?? '');
+};
+
+const handleChainChanged = (id: string) => {
+	chainId.set(parseInt(id, 16));
+};
+
+// selectWallet makes wallet the one every request goes to and, when the user
+// picked it, remembers it for later visits. Account and chain changes of the
+// previous wallet are no longer followed.
+export const selectWallet = (wallet: Wallet, remember = true) => {
+	const previous = get(selectedWallet);
+	previous?.provider.removeListener?.('accountsChanged', handleAccountsChanged);
+	previous?.provider.removeListener?.('chainChanged', handleChainChanged);
+
+	selectedWallet.set(wallet);
+	currentAccount.set('');
+	chainId.set(undefined);
+	if (remember) {
+		localStorage.setItem(SELECTED_WALLET_KEY, wallet.info.rdns);
+	}
+
+	wallet.provider.on?.('accountsChanged', handleAccountsChanged);
+	wallet.provider.on?.('chainChanged', handleChainChanged);
+
+	// only read what the wallet already shares, without prompting
+	wallet.provider
+		.request({ method: 'eth_accounts' })
+		.then(handleAccountsChanged)
+		.catch(console.error);
+	wallet.provider.request({ method: 'eth_chainId' }).then(handleChainChanged).catch(console.error);
+};
+
+// getWalletProvider returns the selected wallet's provider, if any
+export const getWalletProvider = (): WalletProvider | undefined => get(selectedWallet)?.provider;
+
+const addWallet = (wallet: Wallet) => {
+	const known = get(wallets);
+	if (known.some(({ info }) => info.uuid === wallet.info.uuid)) return;
+	// a wallet announcing itself replaces the window.ethereum fallback
+	wallets.set([...known.filter(({ info }) => info.rdns !== LEGACY_WALLET_INFO.rdns), wallet]);
+
+	// the remembered wallet wins, otherwise the first one is used until the
+	// user picks one
+	const selected = get(selectedWallet);
+	if (
+		!isRemembered(selected) &&
+		(isRemembered(wallet) || !selected || selected.info.rdns === LEGACY_WALLET_INFO.rdns)
+	) {
+		selectWallet(wallet, false);
+	}
+};
+
+const isRemembered = (wallet: Wallet | undefined) =>
+	!!wallet && wallet.info.rdns === localStorage.getItem(SELECTED_WALLET_KEY);
+
+// Discover wallets once in the browser. Wallets answer the request event with
+// an announcement, and announce themselves again whenever they load later.
+if (typeof window !== 'undefined') {
+	window.addEventListener('eip6963:announceProvider', ((event: CustomEvent<Wallet>) => {
+		addWallet({ info: event.detail.info, provider: event.detail.provider });
+	}) as EventListener);
+	window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+	// wallets that predate EIP-6963 only inject window.ethereum
+	setTimeout(() => {
+		if (get(wallets).length === 0 && window.ethereum) {
+			addWallet({ info: LEGACY_WALLET_INFO, provider: window.ethereum });
+		}
+	}, 500);
+}
+
+// connectWallet asks the selected wallet for account access. With several
+// wallets installed and none picked yet, the wallet picker is opened instead.
+export const connectWallet = async () => {
+	const wallet = get(selectedWallet);
+	if (!wallet || (get(wallets).length > 1 && !isRemembered(wallet))) {
+		walletPickerOpen.set(true);
+		return;
+	}
+
+	try {
+		handleAccountsChanged(
+			(await wallet.provider.request({ method: 'eth_requestAccounts' })) as string[]
+		);
+	} catch (err: any) {
+		if (err.code === 4001) {
+			console.log(`Please connect to ${wallet.info.name}.`);
+		} else {
+			console.error(err);
+		}
+	}
+};
+
+// pickWallet is the wallet picker's choice: remember it and connect to it
+export const pickWallet = (wallet: Wallet) => {
+	selectWallet(wallet);
+	walletPickerOpen.set(false);
+	return connectWallet();
+};
@@ -0,0 +1,69 @@
+import { get, writable } from 'svelte/store';
+import { formatUnits } from 'ethers';
+import { EthTokenInfo, swapd } from '../utils';
+import { pairs } from './pairStore';
+import type { PersonalBalancesResult } from '../types';
+
+const REFRESH_INTERVAL = 15000;
+
+export const isLoadingBalances = writable(false);
+// Set when the last refresh failed. Refreshes run in the background, so the
+// error is shown on the page instead of raising a toast every interval.
+export const balancesError = writable('');
+
+// The daemon's balances, including every token listed in net_pairs. They are
+// refreshed periodically as long as something subscribes to the store.
+export const balances = writable<PersonalBalancesResult | undefined>(undefined, () => {
+	const unsubscribePairs = pairs.subscribe(() => getBalances());
+	const timer = setInterval(getBalances, REFRESH_INTERVAL);
+	return () => {
+		clearInterval(timer);
+		unsubscribePairs();
+	};
+});
+
+const tokenAddresses = (): string[] => [
+	...new Set(
+		get(pairs)
+			.map((pair) => pair.token.address.toString())
+			.filter((address) => address !== EthTokenInfo.address)
+	)
+];
+
+export const getBalances = () => {
+	isLoadingBalances.set(true);
+	return swapd.personal
+		.balances({ tokensAddrs: tokenAddresses() })
+		.then((result) => {
+			balances.set(result);
+			balancesError.set('');
+		})
+		.catch((e: Error) => balancesError.set(e.message))
+		.finally(() => isLoadingBalances.set(false));
+};
+
+// getAssetBalance returns the balance of an ETH asset in standard units, or
+// undefined if it is unknown.
+export const getAssetBalance = (
+	result: PersonalBalancesResult | undefined,
+	address: string
+): string | undefined => {
+	if (!result) return;
+	if (address === EthTokenInfo.address) {
+		return formatUnits(result.weiBalance, 18);
+	}
+	return result.tokenBalances?.find(
+		({ tokenInfo }) => tokenInfo.address.toString().toLowerCase() === address.toLowerCase()
+	)?.amount;
+};
+
+// Transfers and sweeps refresh the balances once swapd sent the transaction.
+export const transferXMR = (to: string, amount: string) =>
+	swapd.personal.transferXMR({ to, amount }).finally(getBalances);
+
+export const sweepXMR = (to: string) => swapd.personal.sweepXMR({ to }).finally(getBalances);
+
+export const transferETH = (to: string, amount: string, gasLimit?: number) =>
+	swapd.personal.transferETH({ to, amount, gasLimit }).finally(getBalances);
+
+export const sweepETH = (to: string) => swapd.personal.sweepETH({ to }).finally(getBalances);
@@ -0,0 +1,24 @@
+import { readFileSync } from 'fs';
+import { getBytes, hexlify, keccak256, toUtf8Bytes } from 'ethers';
+
+// The swap page in frontend/ is plain scripts sharing globals, with ethers v5
+// from a CDN. The parts of ethers v5 they use are mapped onto ethers v6.
+const ethersV5 = { utils: { arrayify: getBytes, hexlify, keccak256, toUtf8Bytes } };
+
+// loadFrontendScripts evaluates frontend scripts in order, the way the page
+// loads them, and returns the globals in names. globals sets the ones the
+// scripts expect from scripts that aren't loaded, e.g. constants.js.
+export const loadFrontendScripts = (
+	files: string[],
+	names: string[],
+	globals: Record<string, unknown> = {}
+): Record<string, any> => {
+	const source = files
+		.map((file) => readFileSync(new URL(`../../../frontend/${file}`, import.meta.url), 'utf8'))
+		.join('\n');
+	return new Function(
+		'ethers',
+		...Object.keys(globals),
+		`${source}\nreturn { ${names.join(', ')} };`
+	)(ethersV5, ...Object.values(globals));
+};
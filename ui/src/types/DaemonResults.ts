@@ -0,0 +1,6 @@
+export interface DaemonVersionResult {
+	swapdVersion: string;
+	p2pVersion: string;
+	env: 'mainnet' | 'stagenet' | 'dev';
+	swapCreatorAddress?: string;
+}
@@ -0,0 +1,22 @@
+export interface ContractSwap {
+	owner: string;
+	claimer: string;
+	claimCommitment: string;
+	refundCommitment: string;
+	timeout1: number;
+	timeout2: number;
+	asset: string;
+	value: number;
+	nonce: number;
+}
+
+export interface DatabaseContractSwapInfoResult {
+	startBlockNumber: number;
+	swapID: string;
+	swap: ContractSwap;
+	swapCreatorAddr: string;
+}
+
+export interface DatabaseSwapSecretResult {
+	secret: string;
+}
@@ -0,0 +1,21 @@
+import type { OfferRaw } from './NetQueryPeerResults';
+
+// Amounts and the exchange rate are decimal strings, as expected by swapd's
+// apd.Decimal fields.
+export interface MakeOfferRequest {
+	minAmount: string;
+	maxAmount: string;
+	exchangeRate: string;
+	ethAsset?: string;
+	useRelayer?: boolean;
+}
+
+export interface MakeOfferResult {
+	peerID: string;
+	offerID: string;
+}
+
+export interface SwapGetOffersResult {
+	peerID: string;
+	offers: OfferRaw[];
+}
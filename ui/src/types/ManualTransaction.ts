@@ -0,0 +1,4 @@
+// ManualTransactionResult is returned by swap_claim and swap_refund.
+export type ManualTransactionResult = {
+	txHash: string;
+};
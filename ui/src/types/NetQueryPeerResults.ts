@@ -3,9 +3,11 @@ export type Currency = String
 export interface OfferRaw {
     offerID: String
     provides: Currency
-    minAmount: Number
-    maxAmount: Number
-    exchangeRate: Number
+    // decimal strings, as swapd serializes its apd.Decimal fields. Parse them
+    // with xmrAmount and exchangeRate from utils/amount.
+    minAmount: string
+    maxAmount: string
+    exchangeRate: string
     version: String
     ethAsset: Currency
     nonce: Number
@@ -13,4 +15,13 @@ export interface OfferRaw {
 
 export interface NetQueryPeerResult {
     offers: OfferRaw[]
-}
\ No newline at end of file
+}
+
+export interface PeerWithOffers {
+    peerID: String
+    offers: OfferRaw[]
+}
+
+export interface NetQueryAllResult {
+    peersWithOffers: PeerWithOffers[]
+}
@@ -0,0 +1,39 @@
+import type { TokenInfo } from './PersonalTokenInfoResult';
+
+export interface TokenBalance {
+	// in standard units, not the token's smallest denomination
+	amount: string;
+	tokenInfo: TokenInfo;
+}
+
+export interface PersonalBalancesResult {
+	moneroAddress: string;
+	piconeroBalance: string;
+	piconeroUnlockedBalance: string;
+	blocksToUnlock: number;
+	ethAddress: string;
+	weiBalance: string;
+	tokenBalances: TokenBalance[] | null;
+}
+
+export interface PersonalSwapTimeoutResult {
+	// in seconds
+	timeout: number;
+}
+
+export interface PersonalTransferXMRResult {
+	txID: string;
+}
+
+export interface PersonalSweepXMRResult {
+	txIds: string[];
+}
+
+export interface PersonalTransferETHResult {
+	txHash: string;
+	gasLimit?: number;
+}
+
+export interface PersonalSweepETHResult {
+	txHash: string;
+}
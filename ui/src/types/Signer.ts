@@ -0,0 +1,22 @@
+// SignerRequest is sent with signer_subscribe to let the browser wallet sign
+// the swap transactions in place of swapd's own key.
+export interface SignerRequest {
+	offerID: string;
+	ethAddress: string;
+	xmrAddress: string;
+}
+
+// SignerResponse is a transaction pushed by swapd that needs to be signed.
+// data is base64 encoded and value is denominated in ETH, not wei.
+export interface SignerResponse {
+	offerID: string;
+	to: string;
+	data: string;
+	value: string | null;
+}
+
+// SignerTxSigned is returned to swapd once the transaction has been submitted.
+export interface SignerTxSigned {
+	offerID: string;
+	txHash: string;
+}
@@ -0,0 +1,66 @@
+import type { Currency } from './NetQueryPeerResults';
+
+export type SwapStatus =
+	| 'ExpectingKeys'
+	| 'KeysExchanged'
+	| 'ETHLocked'
+	| 'XMRLocked'
+	| 'ContractReady'
+	| 'SweepingXMR'
+	| 'Success'
+	| 'Refunded'
+	| 'Aborted';
+
+export interface PastSwap {
+	id: string;
+	peerID: string;
+	provided: Currency;
+	ethAsset: Currency;
+	providedAmount: string;
+	expectedAmount: string;
+	relayerFee?: string;
+	exchangeRate: string;
+	status: SwapStatus;
+	startTime: string;
+	endTime?: string;
+}
+
+export interface OngoingSwap {
+	id: string;
+	peerID: string;
+	provided: Currency;
+	ethAsset: Currency;
+	providedAmount: string;
+	expectedAmount: string;
+	exchangeRate: string;
+	status: SwapStatus;
+	lastStatusUpdateTime: string;
+	startTime: string;
+	timeout1?: string;
+	timeout2?: string;
+	// nanoseconds, as serialized from Go's time.Duration
+	estimatedTimeToCompletion: number;
+}
+
+export interface SwapGetPastResult {
+	swaps: PastSwap[];
+}
+
+export interface SwapGetOngoingResult {
+	swaps: OngoingSwap[];
+}
+
+export interface SwapGetStatusResult {
+	status: SwapStatus;
+	info: string;
+	startTime: string;
+}
+
+export interface SwapSuggestedExchangeRateResult {
+	ethUpdatedAt: string;
+	ethPrice: string;
+	xmrUpdatedAt: string;
+	xmrPrice: string;
+	// XMR/ETH price ratio
+	exchangeRate: string;
+}
@@ -2,16 +2,51 @@ import type { Currency } from "./NetQueryPeerResults"
 
 export type { NetAddressesResult } from "./NetAddressResult"
 export type { NetDiscoverResult } from "./NetDiscoverResults"
-export type { OfferRaw, NetQueryPeerResult, Currency } from "./NetQueryPeerResults"
+export type {
+    OfferRaw,
+    NetQueryPeerResult,
+    NetQueryAllResult,
+    PeerWithOffers,
+    Currency,
+} from "./NetQueryPeerResults"
+export type { Pair, NetPairResults } from "./NetPairResults"
 export type { TokenInfo } from "./PersonalTokenInfoResult"
+export type {
+    SwapStatus,
+    PastSwap,
+    OngoingSwap,
+    SwapGetPastResult,
+    SwapGetOngoingResult,
+    SwapGetStatusResult,
+    SwapSuggestedExchangeRateResult,
+} from "./SwapResults"
+export type {
+    TokenBalance,
+    PersonalBalancesResult,
+    PersonalSwapTimeoutResult,
+    PersonalTransferXMRResult,
+    PersonalSweepXMRResult,
+    PersonalTransferETHResult,
+    PersonalSweepETHResult,
+} from "./PersonalResults"
+export type { DaemonVersionResult } from "./DaemonResults"
+export type {
+    ContractSwap,
+    DatabaseContractSwapInfoResult,
+    DatabaseSwapSecretResult,
+} from "./DatabaseResults"
+export type { MakeOfferRequest, MakeOfferResult, SwapGetOffersResult } from "./MakeOffer"
+export type { CancelResult } from "./Cancel"
+export type { ManualTransactionResult } from "./ManualTransaction"
+export type { SignerRequest, SignerResponse, SignerTxSigned } from "./Signer"
 
 export interface Offer {
     peerID: String
     offerID: String
     provides: Currency
-    minAmount: Number
-    maxAmount: Number
-    exchangeRate: Number
+    minAmount: string
+    maxAmount: string
+    exchangeRate: string
     version: String
     ethAsset: Currency
     nonce: Number
@@ -0,0 +1,204 @@
+import { describe, expect, it } from 'vitest';
+import {
+	Amount,
+	AmountError,
+	exchangeRate,
+	offerRangeError,
+	providedToXmr,
+	xmrAmount,
+	type Rounding
+} from './amount';
+import { loadFrontendScripts } from '../testing/frontendScripts';
+
+// frontend/amount.js mirrors Amount, both run the shared cases below
+const frontend = loadFrontendScripts(['amount.js'], ['Amount', 'AmountError', 'xmrAmount']);
+
+const implementations = [
+	{ name: 'ui', Amount, AmountError, xmrAmount },
+	{ name: 'frontend', ...frontend }
+] as {
+	name: string;
+	Amount: typeof Amount;
+	AmountError: typeof AmountError;
+	xmrAmount: typeof xmrAmount;
+}[];
+
+describe.each(implementations)('$name Amount', ({ Amount, AmountError, xmrAmount }) => {
+	describe('parse', () => {
+		it.each([
+			['1', 12, 1000000000000n],
+			['0.1', 12, 100000000000n],
+			['.5', 12, 500000000000n],
+			['5.', 12, 5000000000000n],
+			[' 2.5 ', 6, 2500000n],
+			['0.000000000001', 12, 1n],
+			['1.500000000000000', 12, 1500000000000n],
+			['1E+2', 12, 100000000000000n],
+			['1.5e-6', 12, 1500000n],
+			['123456789012345678901234567890', 0, 123456789012345678901234567890n]
+		])('parses %s with %i decimals', (value, decimals, units) => {
+			const amount = Amount.parse(value, decimals);
+			expect(amount.units).toBe(units);
+			expect(amount.decimals).toBe(decimals);
+		});
+
+		it('rejects more decimals than the amount has', () => {
+			expect(() => Amount.parse('0.0000000000001', 12)).toThrow(
+				'0.0000000000001 has more than 12 decimals'
+			);
+			expect(() => Amount.parse('1e-7', 6)).toThrow(AmountError);
+		});
+
+		it.each(['', '.', 'abc', '1.2.3', '-1', '0x10', '1,5', 'e5'])('rejects "%s"', (value) => {
+			expect(() => Amount.parse(value, 12)).toThrow(AmountError);
+		});
+	});
+
+	describe('toString', () => {
+		it.each([
+			['0', 12, '0'],
+			['1.5', 12, '1.5'],
+			['0.000000000001', 12, '0.000000000001'],
+			['100', 12, '100'],
+			['1E+2', 6, '100'],
+			['0.10', 2, '0.1'],
+			['42', 0, '42']
+		])('formats %s with %i decimals as %s', (value, decimals, expected) => {
+			expect(Amount.parse(value, decimals).toString()).toBe(expected);
+		});
+	});
+
+	describe('round', () => {
+		const cases: [string, Rounding, string | undefined][] = [
+			['exact', 'exact', undefined],
+			['down', 'down', '1.23'],
+			['up', 'up', '1.24']
+		];
+		it.each(cases)('rounds 1.2345 to 2 decimals %s', (_, rounding, expected) => {
+			const round = () => Amount.parse('1.2345', 4).round(2, rounding);
+			if (expected === undefined) {
+				expect(round).toThrow('1.2345 has more than 2 decimals');
+			} else {
+				expect(round().toString()).toBe(expected);
+				expect(round().decimals).toBe(2);
+			}
+		});
+
+		it.each(['exact', 'down', 'up'] as Rounding[])('keeps exact values %s', (rounding) => {
+			expect(Amount.parse('1.2', 4).round(2, rounding).toString()).toBe('1.2');
+			expect(Amount.parse('1.2', 2).round(6, rounding).units).toBe(1200000n);
+		});
+	});
+
+	describe('mul', () => {
+		const price = () => Amount.parse('0.333333', 6);
+		it.each([
+			['exact', 'exact', undefined],
+			['down', 'down', '0.66'],
+			['up', 'up', '0.67']
+		] as [string, Rounding, string | undefined][])(
+			'multiplies 2 by 0.333333 to 2 decimals %s',
+			(_, rounding, expected) => {
+				const mul = () => Amount.parse('2', 0).mul(price(), 2, rounding);
+				if (expected === undefined) {
+					expect(mul).toThrow(AmountError);
+				} else {
+					expect(mul().toString()).toBe(expected);
+				}
+			}
+		);
+
+		it('multiplies exactly when the decimals suffice', () => {
+			expect(Amount.parse('2', 0).mul(price(), 6).toString()).toBe('0.666666');
+			expect(xmrAmount('1.5').mul(Amount.parse('0.05', 6), 18).toString()).toBe('0.075');
+		});
+	});
+
+	describe('div', () => {
+		it.each([
+			['exact', 'exact', undefined],
+			['down', 'down', '0.333333333333'],
+			['up', 'up', '0.333333333334']
+		] as [string, Rounding, string | undefined][])(
+			'divides 1 by 3 to 12 decimals %s',
+			(_, rounding, expected) => {
+				const div = () => xmrAmount('1').div(Amount.parse('3', 0), 12, rounding);
+				if (expected === undefined) {
+					expect(div).toThrow('1 / 3 has more than 12 decimals');
+				} else {
+					expect(div().toString()).toBe(expected);
+				}
+			}
+		);
+
+		it('divides exactly when the decimals suffice', () => {
+			expect(Amount.parse('1', 6).div(Amount.parse('0.05', 6), 12).toString()).toBe('20');
+			expect(Amount.parse('0.3', 18).div(Amount.parse('0.1', 6), 0).toString()).toBe('3');
+		});
+
+		it('rejects division by zero', () => {
+			expect(() => xmrAmount('1').div(xmrAmount('0'), 12)).toThrow('Division by zero');
+		});
+	});
+
+	describe('cmp', () => {
+		it('compares amounts with different decimals', () => {
+			expect(Amount.parse('1.5', 6).cmp(xmrAmount('1.5'))).toBe(0);
+			expect(Amount.parse('1.5', 6).cmp(xmrAmount('1.500000000001'))).toBe(-1);
+			expect(xmrAmount('2').cmp(Amount.parse('1.999999', 6))).toBe(1);
+		});
+	});
+
+	it('rejects negative units', () => {
+		expect(() => Amount.fromUnits(-1n, 12)).toThrow('Amounts can not be negative');
+	});
+});
+
+describe('providedToXmr', () => {
+	it('converts amounts that buy whole piconeros', () => {
+		expect(providedToXmr(Amount.parse('1', 6), exchangeRate('0.05')).toString()).toBe('20');
+		expect(providedToXmr(Amount.parse('0.15', 18), exchangeRate('0.075')).toString()).toBe('2');
+	});
+
+	it.each([
+		// amount, its decimals, rate, suggestion
+		['0.000001', 18, '0.03', '0.00000099999999'],
+		['1.000001', 6, '0.003', '0.999999']
+	])('suggests an amount instead of %s at %s', (provided, decimals, rate, suggestion) => {
+		const amount = Amount.parse(provided, decimals);
+		expect(() => providedToXmr(amount, exchangeRate(rate))).toThrow(
+			`${provided} / ${rate} exceeds XMR's 12 decimal precision, try ${suggestion}`
+		);
+		// the suggestion converts
+		expect(() =>
+			providedToXmr(Amount.parse(suggestion, decimals), exchangeRate(rate))
+		).not.toThrow();
+	});
+
+	it("doesn't suggest amounts the asset can't represent", () => {
+		// a 0.07 rate needs two more decimals than the asset has
+		expect(() => providedToXmr(Amount.parse('1', 0), exchangeRate('0.07'))).toThrow(
+			"1 / 0.07 exceeds XMR's 12 decimal precision"
+		);
+		expect(() => providedToXmr(Amount.parse('1', 0), exchangeRate('0.07'))).not.toThrow(/try/);
+	});
+});
+
+describe('offerRangeError', () => {
+	const offer = { minAmount: '0.1', maxAmount: '2.5' };
+
+	it('accepts amounts within the range', () => {
+		expect(offerRangeError(xmrAmount('0.1'), offer)).toBe('');
+		expect(offerRangeError(xmrAmount('1'), offer)).toBe('');
+		expect(offerRangeError(xmrAmount('2.5'), offer)).toBe('');
+	});
+
+	it('rejects amounts outside the range', () => {
+		expect(offerRangeError(xmrAmount('0.099999999999'), offer)).toBe(
+			"The offer's minimum is 0.1 XMR"
+		);
+		expect(offerRangeError(xmrAmount('2.500000000001'), offer)).toBe(
+			"The offer's maximum is 2.5 XMR"
+		);
+	});
+});
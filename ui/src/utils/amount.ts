@@ -0,0 +1,197 @@
+import type { TokenInfo } from '../types/PersonalTokenInfoResult';
+
+// swapd's precision limits, see coins/common.go
+export const XmrDecimals = 12;
+export const ExchangeRateDecimals = 6;
+
+// How an operation treats digits beyond the result's decimals. 'exact' throws
+// an AmountError instead of dropping any.
+export type Rounding = 'exact' | 'down' | 'up';
+
+// AmountError is thrown for amounts that can't be parsed, or that can't be
+// represented exactly where that is required.
+export class AmountError extends Error {
+	constructor(message: string) {
+		super(message);
+		this.name = 'AmountError';
+	}
+}
+
+// digits, an optional fraction and an optional exponent, as produced by
+// apd.Decimal for very large or small values
+const DECIMAL_PATTERN = /^(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+const pow10 = (exponent: number) => 10n ** BigInt(exponent);
+
+// divide rounds numerator / denominator, both positive, to an integer
+const divide = (numerator: bigint, denominator: bigint, rounding: Rounding): bigint | undefined => {
+	const quotient = numerator / denominator;
+	if (numerator % denominator === 0n) return quotient;
+	if (rounding === 'exact') return undefined;
+	return rounding === 'up' ? quotient + 1n : quotient;
+};
+
+// Amount is an exact, non-negative decimal with a fixed number of decimals,
+// e.g. XMR's 12 or a token's. It is stored as an integer number of its
+// smallest unit, so parsing, converting and comparing amounts never picks up
+// the rounding errors of floating point numbers.
+export class Amount {
+	// in the smallest unit, e.g. piconero for XMR
+	readonly units: bigint;
+	readonly decimals: number;
+
+	private constructor(units: bigint, decimals: number) {
+		if (units < 0n) {
+			throw new AmountError('Amounts can not be negative');
+		}
+		this.units = units;
+		this.decimals = decimals;
+	}
+
+	static fromUnits(units: bigint | string, decimals: number): Amount {
+		return new Amount(BigInt(units), decimals);
+	}
+
+	// parse reads a decimal string like "0.1", as entered by the user or
+	// returned by swapd. It throws an AmountError if value isn't a decimal or
+	// has more significant digits after the point than decimals.
+	static parse(value: string, decimals: number): Amount {
+		const match = DECIMAL_PATTERN.exec(value.trim());
+		if (!match || !(match[1] || match[2])) {
+			throw new AmountError(`"${value}" is not a decimal number`);
+		}
+		const [, whole = '', fraction = '', exponent = '0'] = match;
+		const digits = BigInt(whole + fraction || '0');
+		// the value is digits * 10^-scale
+		const scale = fraction.length - Number(exponent);
+		const units =
+			scale <= decimals
+				? digits * pow10(decimals - scale)
+				: divide(digits, pow10(scale - decimals), 'exact');
+		if (units === undefined) {
+			throw new AmountError(`${value.trim()} has more than ${decimals} decimals`);
+		}
+		return new Amount(units, decimals);
+	}
+
+	// round returns the amount with a different number of decimals
+	round(decimals: number, rounding: Rounding = 'exact'): Amount {
+		if (decimals >= this.decimals) {
+			return new Amount(this.units * pow10(decimals - this.decimals), decimals);
+		}
+		const units = divide(this.units, pow10(this.decimals - decimals), rounding);
+		if (units === undefined) {
+			throw new AmountError(`${this} has more than ${decimals} decimals`);
+		}
+		return new Amount(units, decimals);
+	}
+
+	mul(other: Amount, decimals: number, rounding: Rounding = 'exact'): Amount {
+		return Amount.fromUnits(this.units * other.units, this.decimals + other.decimals).round(
+			decimals,
+			rounding
+		);
+	}
+
+	div(divisor: Amount, decimals: number, rounding: Rounding = 'exact'): Amount {
+		if (divisor.isZero()) {
+			throw new AmountError('Division by zero');
+		}
+		const units = divide(
+			this.units * pow10(decimals + divisor.decimals),
+			divisor.units * pow10(this.decimals),
+			rounding
+		);
+		if (units === undefined) {
+			throw new AmountError(`${this} / ${divisor} has more than ${decimals} decimals`);
+		}
+		return new Amount(units, decimals);
+	}
+
+	cmp(other: Amount): number {
+		const decimals = Math.max(this.decimals, other.decimals);
+		const a = this.round(decimals).units;
+		const b = other.round(decimals).units;
+		return a === b ? 0 : a < b ? -1 : 1;
+	}
+
+	lt(other: Amount): boolean {
+		return this.cmp(other) < 0;
+	}
+
+	gt(other: Amount): boolean {
+		return this.cmp(other) > 0;
+	}
+
+	isZero(): boolean {
+		return this.units === 0n;
+	}
+
+	// toString formats the amount without trailing zeros or an exponent, the
+	// way swapd's apd.Decimal fields parse it.
+	toString(): string {
+		const digits = this.units.toString().padStart(this.decimals + 1, '0');
+		const whole = digits.slice(0, digits.length - this.decimals);
+		const fraction = digits.slice(digits.length - this.decimals).replace(/0+$/, '');
+		return fraction ? `${whole}.${fraction}` : whole;
+	}
+
+	// toNumber is only meant for estimates, e.g. prices in USD
+	toNumber(): number {
+		return Number(this.toString());
+	}
+}
+
+export const xmrAmount = (value: string): Amount => Amount.parse(value, XmrDecimals);
+
+export const exchangeRate = (value: string): Amount => Amount.parse(value, ExchangeRateDecimals);
+
+export const tokenAmount = (value: string, token: TokenInfo): Amount =>
+	Amount.parse(value, Number(token.decimals));
+
+// providedToXmr converts the ETH asset amount a taker provides to the XMR it
+// buys at an offer's exchange rate. Like swapd's ExchangeRate.ToXMR it throws
+// if that takes fractional piconeros, suggesting the closest amount that
+// doesn't.
+export const providedToXmr = (provided: Amount, rate: Amount): Amount => {
+	try {
+		return provided.div(rate, XmrDecimals);
+	} catch {
+		const suggestion = suggestProvidedAmount(provided, rate);
+		throw new AmountError(
+			`${provided} / ${rate} exceeds XMR's ${XmrDecimals} decimal precision` +
+				(suggestion ? `, try ${suggestion}` : '')
+		);
+	}
+};
+
+// suggestProvidedAmount rounds the XMR bought by provided so that it buys whole
+// piconeros and fits the provided asset's decimals, see calcAltNumeratorAmount
+// in coins/round.go.
+const suggestProvidedAmount = (provided: Amount, rate: Amount): Amount | undefined => {
+	// the rate's digits after dropping trailing zeros, 0.05 has 2 and 300 has -2
+	let rateDecimals = rate.decimals;
+	for (let units = rate.units; units > 0n && units % 10n === 0n; units /= 10n) {
+		rateDecimals--;
+	}
+	const xmrDecimals = Math.min(provided.decimals - rateDecimals, XmrDecimals);
+	if (xmrDecimals < 0) return;
+
+	const suggestion = provided.div(rate, xmrDecimals, 'down').mul(rate, provided.decimals, 'down');
+	return suggestion.isZero() ? undefined : suggestion;
+};
+
+// offerRangeError explains why an offer can't be taken for xmr, or returns an
+// empty string if it can. swapd compares the same exact amounts.
+export const offerRangeError = (
+	xmr: Amount,
+	offer: { minAmount: string; maxAmount: string }
+): string => {
+	if (xmr.lt(xmrAmount(offer.minAmount))) {
+		return `The offer's minimum is ${offer.minAmount} XMR`;
+	}
+	if (xmr.gt(xmrAmount(offer.maxAmount))) {
+		return `The offer's maximum is ${offer.maxAmount} XMR`;
+	}
+	return '';
+};
@@ -0,0 +1,9 @@
+// formatDuration renders a duration in milliseconds as e.g. "1h 05m 09s".
+export const formatDuration = (ms: number): string => {
+	const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+	const hours = Math.floor(totalSeconds / 3600);
+	const minutes = Math.floor((totalSeconds % 3600) / 60);
+	const seconds = totalSeconds % 60;
+	const pad = (n: number) => n.toString().padStart(2, '0');
+	return hours > 0 ? `${hours}h ${pad(minutes)}m ${pad(seconds)}s` : `${minutes}m ${pad(seconds)}s`;
+};
@@ -0,0 +1,2 @@
+export const formatTime = (time?: string | null): string =>
+	time ? new Date(time).toLocaleString() : '-';
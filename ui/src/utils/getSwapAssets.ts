@@ -0,0 +1,10 @@
+import type { OngoingSwap, PastSwap } from '../types';
+
+// getSwapAssets returns the asset each side of the swap is denominated in,
+// either XMR, ETH or the address of an ERC20 token.
+export const getSwapAssets = (swap: OngoingSwap | PastSwap) => {
+	const ethAsset = swap.ethAsset.toString();
+	return swap.provided === 'XMR'
+		? { provided: 'XMR', expected: ethAsset }
+		: { provided: ethAsset, expected: 'XMR' };
+};
@@ -1,10 +1,8 @@
-import { rpcRequest } from './rpcApi';
+import { swapd } from './swapdClient';
+import { notifyError } from '../stores/errorStore';
 import type { TokenInfo } from '../types/PersonalTokenInfoResult';
 
 export const getTokenInfo = async (address: String): Promise<TokenInfo | void | undefined> => {
-  return rpcRequest<TokenInfo | undefined>('personal_tokenInfo', { "tokenAddr": address })
-    .then(({ result }): TokenInfo | undefined => {
-      return result
-    })
-    .catch(console.error)
+  return swapd.personal.tokenInfo({ tokenAddr: address.toString() })
+    .catch(notifyError)
 }
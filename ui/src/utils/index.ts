@@ -1,7 +1,34 @@
-export { rpcRequest, getPort } from './rpcApi'
+export { rpcRequest, getPort, getWsAddress, getDaemonUrl, setDaemonUrl, RpcError, RpcConnectionError } from './rpcApi'
+export { swapd } from './swapdClient'
 export { intToHexString } from './intToHexString'
 export { getCorrespondingToken } from './getCorrespondingToken'
 export { getTokenInfo } from './getTokenInfo'
+export { getSwapAssets } from './getSwapAssets'
+export { formatTime } from './formatTime'
+export { formatDuration } from './formatDuration'
+export {
+  decodeMoneroAddress,
+  isMoneroAddress,
+  moneroAddressWarning,
+  moneroAddressProblem,
+  moneroAddressFingerprint,
+  MoneroAddressError,
+} from './moneroAddress'
+export type { MoneroAddress, MoneroNetwork, MoneroAddressType } from './moneroAddress'
+export { xmrToEthAsset } from './xmrToEthAsset'
+export { SwapGas, takerSwapGas, MaxFeeShare } from './swapGas'
+export {
+  Amount,
+  AmountError,
+  XmrDecimals,
+  ExchangeRateDecimals,
+  xmrAmount,
+  exchangeRate,
+  tokenAmount,
+  providedToXmr,
+  offerRangeError,
+} from './amount'
+export type { Rounding } from './amount'
 
 import type { TokenInfo } from '../types/PersonalTokenInfoResult'
 
@@ -0,0 +1,185 @@
+import { describe, expect, it } from 'vitest';
+import { hexlify } from 'ethers';
+import {
+	MoneroAddressError,
+	decodeMoneroAddress,
+	decodeMoneroBase58,
+	isMoneroAddress,
+	moneroAddressFingerprint,
+	moneroAddressProblem,
+	moneroAddressWarning
+} from './moneroAddress';
+import { loadFrontendScripts } from '../testing/frontendScripts';
+
+// addresses and their decoded bytes from crypto/monero/base58_test.go and
+// address_marshal_test.go
+const addresses = [
+	{
+		address:
+			'42ey1afDFnn4886T7196doS9GPMzexD9gXpsZJDwVjeRVdFCSoHnv7KPbBeGpzJBzHRCAs9UxqeoyFQMYbqSWYTfJJQAWDm',
+		network: 'mainnet',
+		type: 'standard',
+		hex: '0x121b3bd040020d3712ab84992b773d0a965134eb2df0392fb84af95de8a17be2ab231c9bf8341c6a870d92e3fb98063a90a355fb8dbf74a8561b9d7f9273247e9956e6f1b0'
+	},
+	{
+		address:
+			'8AsN91rznfkBGTY8psSNkJBg9SZgxxGGRUhGwRptBhgr5XSQ1XzmA9m8QAnoxydecSh5aLJXdrgXwTDMMZ1AuXsN1EX5Mtm',
+		network: 'mainnet',
+		type: 'subaddress',
+		hex: '0x2ade13d5e57591933d61237e94bfca6b3fd239c9d53c5582a592eeeb8d8986c71b0d4d160c2c2ef02c3d0dd3b8646fbbef9dadc5d54002e69cb78b74ace989510210defc2a'
+	},
+	{
+		address:
+			'53teqCAESLxeJ1REzGMAat1ZeHvuajvDiXqboEocPaDRRmqWoVPzy46GLo866qRFjbNhfkNckyhST3WEvBviDwpUDd7DSzB',
+		network: 'stagenet',
+		type: 'standard',
+		hex: '0x18365f7c1aa6cc01def62e128fffd8e1035d64cea20211b5b85e313737f28e14941bbc4ca71a085b5bb8390ab800b53e81be2abab23f63740ef8a450804c6de96fe16e7338'
+	},
+	{
+		address:
+			'73LhUiix4DVFMcKhsPRG51QmCsv8dYYbL6GcQoLwEEFvPvkVvc7BhebfA4pnEFF9Lq66hwvLqBvpHjTcqvpJMHmmNjPPBqa',
+		network: 'stagenet',
+		type: 'subaddress'
+	},
+	{
+		address:
+			'9ujeXrjzf7bfeK3KZdCqnYaMwZVFuXemPU8Ubw335rj2FN1CdMiWNyFV3ksEfMFvRp9L9qum5UxkP5rN9aLcPxbH1au4WAB',
+		network: 'testnet',
+		type: 'standard',
+		hex: '0x3543ca04c0bac1fee7087d0779959c89c773e1d4d4a477f2a2316cb431018ee955dd951a02750dcaa7af680fd3fd148331cd980eda5e1d881d00bf1e35865f40052e237e80'
+	},
+	{
+		address:
+			'BcFvPa3fT4gVt5QyRDe5Vv7VtUFao9ci8NFEy3r254KF7R1N2cNB5FYhGvrHbMStv4D6VDzZ5xtxeKV8vgEPMnDcNFuwZb9',
+		network: 'testnet',
+		type: 'subaddress'
+	},
+	{
+		address:
+			'4BxSHvcgTwu25WooY4BVmgdcKwZu5EksVZSZkDd6ooxSVVqQ4ubxXkhLF6hEqtw96i9cf3cVfLw8UWe95bdDKfRQeYtPwLm1Jiw7AKt2LY',
+		network: 'mainnet',
+		type: 'integrated',
+		paymentID: '0x7ecf637941e80436'
+	}
+];
+
+const standard = addresses[0];
+const integrated = addresses[addresses.length - 1];
+
+// replaces one character in the middle of the spend key
+const withTypo = (address: string) => {
+	const i = 40;
+	return address.slice(0, i) + (address[i] === 'a' ? 'b' : 'a') + address.slice(i + 1);
+};
+
+describe('decodeMoneroAddress', () => {
+	it.each(addresses)('decodes the $network $type address $address', (expected) => {
+		const decoded = decodeMoneroAddress(expected.address);
+		expect(decoded.network).toBe(expected.network);
+		expect(decoded.type).toBe(expected.type);
+		expect(decoded.paymentID).toBe(expected.paymentID);
+		expect(isMoneroAddress(expected.address)).toBe(true);
+		if (expected.hex) {
+			expect(hexlify(decodeMoneroBase58(expected.address))).toBe(expected.hex);
+			expect(decoded.publicSpendKey).toBe('0x' + expected.hex.slice(4, 68));
+			expect(decoded.publicViewKey).toBe('0x' + expected.hex.slice(68, 132));
+		}
+	});
+
+	it('ignores surrounding whitespace', () => {
+		expect(decodeMoneroAddress(` ${standard.address}\n`).address).toBe(standard.address);
+	});
+
+	it('fails the checksum of an address with a typo', () => {
+		expect(() => decodeMoneroAddress(withTypo(standard.address))).toThrow(
+			'Invalid checksum, the address has a typo'
+		);
+		expect(isMoneroAddress(withTypo(standard.address))).toBe(false);
+	});
+
+	it('rejects malformed addresses', () => {
+		expect(() => decodeMoneroAddress('')).toThrow(MoneroAddressError);
+		expect(() => decodeMoneroAddress(standard.address.slice(0, -1))).toThrow(MoneroAddressError);
+		expect(() => decodeMoneroAddress(standard.address.replace('F', '0'))).toThrow(
+			'"0" is not a base58 character'
+		);
+		expect(() => decodeMoneroAddress('0x' + '1'.repeat(40))).toThrow(MoneroAddressError);
+	});
+});
+
+describe('moneroAddressWarning', () => {
+	it('accepts addresses of the env', () => {
+		expect(moneroAddressWarning(decodeMoneroAddress(standard.address), 'mainnet')).toBe('');
+		expect(moneroAddressWarning(decodeMoneroAddress(standard.address), 'dev')).toBe('');
+		expect(moneroAddressWarning(decodeMoneroAddress(addresses[3].address), 'stagenet')).toBe('');
+		expect(moneroAddressWarning(decodeMoneroAddress(standard.address), undefined)).toBe('');
+	});
+
+	it('rejects addresses of another network', () => {
+		expect(moneroAddressWarning(decodeMoneroAddress(standard.address), 'stagenet')).toBe(
+			'This is a mainnet address, but swapd runs on stagenet'
+		);
+	});
+
+	it('rejects integrated addresses, which swapd does not take', () => {
+		expect(moneroAddressWarning(decodeMoneroAddress(integrated.address), 'mainnet')).toBe(
+			"swapd doesn't take integrated addresses, use the standard address or a subaddress"
+		);
+		expect(moneroAddressProblem(integrated.address, 'mainnet')).toMatch(/integrated addresses/);
+	});
+});
+
+describe('moneroAddressProblem', () => {
+	it('explains invalid and unusable addresses', () => {
+		expect(moneroAddressProblem(standard.address, 'mainnet')).toBe('');
+		expect(moneroAddressProblem(withTypo(standard.address), 'mainnet')).toMatch(/checksum/);
+		expect(moneroAddressProblem(standard.address, 'stagenet')).toMatch(/mainnet address/);
+	});
+});
+
+describe('moneroAddressFingerprint', () => {
+	it('differs for addresses one character apart', () => {
+		expect(moneroAddressFingerprint(standard.address)).toHaveLength(64);
+		expect(moneroAddressFingerprint(withTypo(standard.address))).not.toBe(
+			moneroAddressFingerprint(standard.address)
+		);
+	});
+});
+
+// frontend/moneroAddress.js mirrors this module, they must agree
+describe('frontend/moneroAddress.js', () => {
+	const frontend = loadFrontendScripts(
+		['moneroAddress.js'],
+		['decodeMoneroAddress', 'isMoneroAddress', 'moneroAddressWarning', 'moneroAddressFingerprint'],
+		{ MONERO_NETWORK: 'stagenet' }
+	);
+
+	it.each(addresses)('decodes the $network $type address $address', ({ address }) => {
+		expect({ ...frontend.decodeMoneroAddress(address) }).toEqual(decodeMoneroAddress(address));
+	});
+
+	it('fails the checksum of an address with a typo', () => {
+		expect(() => frontend.decodeMoneroAddress(withTypo(standard.address))).toThrow(
+			'Invalid checksum, the address has a typo'
+		);
+		expect(frontend.isMoneroAddress(withTypo(standard.address))).toBe(false);
+	});
+
+	it('checks the network and rejects integrated addresses', () => {
+		expect(frontend.moneroAddressWarning(frontend.decodeMoneroAddress(addresses[2].address))).toBe(
+			''
+		);
+		expect(frontend.moneroAddressWarning(frontend.decodeMoneroAddress(standard.address))).toBe(
+			'This is a mainnet address, but swaps run on stagenet'
+		);
+		expect(
+			frontend.moneroAddressWarning(frontend.decodeMoneroAddress(integrated.address), 'mainnet')
+		).toMatch(/integrated addresses/);
+	});
+
+	it('fingerprints addresses like the UI', () => {
+		expect(frontend.moneroAddressFingerprint(standard.address)).toBe(
+			moneroAddressFingerprint(standard.address)
+		);
+	});
+});
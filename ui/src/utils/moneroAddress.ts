@@ -0,0 +1,181 @@
+import { getBytes, hexlify, keccak256, toUtf8Bytes } from 'ethers';
+
+export type MoneroNetwork = 'mainnet' | 'stagenet' | 'testnet';
+export type MoneroAddressType = 'standard' | 'subaddress' | 'integrated';
+
+export type MoneroAddress = {
+	address: string;
+	network: MoneroNetwork;
+	type: MoneroAddressType;
+	// hex encoded public keys
+	publicSpendKey: string;
+	publicViewKey: string;
+	// hex encoded 8 byte payment ID, only set for integrated addresses
+	paymentID?: string;
+};
+
+// MoneroAddressError explains why an address is invalid, e.g. to show it next
+// to the input.
+export class MoneroAddressError extends Error {
+	constructor(message: string) {
+		super(message);
+		this.name = 'MoneroAddressError';
+	}
+}
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const FULL_BLOCK_SIZE = 8;
+const FULL_ENCODED_BLOCK_SIZE = 11;
+// Monero's base58 encodes 8 byte blocks separately. A block of n bytes is
+// always encoded to ENCODED_BLOCK_SIZES[n] characters.
+const ENCODED_BLOCK_SIZES = [0, 2, 3, 5, 6, 7, 9, 10, 11];
+
+const KEY_SIZE = 32;
+const PAYMENT_ID_SIZE = 8;
+const CHECKSUM_SIZE = 4;
+
+// The network byte sets both the network and the address type. All of them
+// are below 0x80, so their varint encoding is the byte itself.
+const NETWORK_BYTES: Record<number, [MoneroNetwork, MoneroAddressType]> = {
+	18: ['mainnet', 'standard'],
+	19: ['mainnet', 'integrated'],
+	42: ['mainnet', 'subaddress'],
+	24: ['stagenet', 'standard'],
+	25: ['stagenet', 'integrated'],
+	36: ['stagenet', 'subaddress'],
+	53: ['testnet', 'standard'],
+	54: ['testnet', 'integrated'],
+	63: ['testnet', 'subaddress']
+};
+
+const decodeBlock = (block: string, size: number): Uint8Array => {
+	let value = 0n;
+	for (const char of block) {
+		const digit = ALPHABET.indexOf(char);
+		if (digit < 0) {
+			throw new MoneroAddressError(`"${char}" is not a base58 character`);
+		}
+		value = value * 58n + BigInt(digit);
+	}
+	if (value >= 1n << BigInt(8 * size)) {
+		throw new MoneroAddressError('Invalid base58 block');
+	}
+
+	const bytes = new Uint8Array(size);
+	for (let i = size - 1; i >= 0; i--) {
+		bytes[i] = Number(value & 0xffn);
+		value >>= 8n;
+	}
+	return bytes;
+};
+
+// decodeMoneroBase58 decodes Monero's block based base58, which differs from
+// Bitcoin's.
+export const decodeMoneroBase58 = (encoded: string): Uint8Array => {
+	const fullBlocks = Math.floor(encoded.length / FULL_ENCODED_BLOCK_SIZE);
+	const lastBlockSize = ENCODED_BLOCK_SIZES.indexOf(encoded.length % FULL_ENCODED_BLOCK_SIZE);
+	if (lastBlockSize < 0) {
+		throw new MoneroAddressError('Invalid base58 length');
+	}
+
+	const bytes = new Uint8Array(fullBlocks * FULL_BLOCK_SIZE + lastBlockSize);
+	for (let i = 0; i < fullBlocks; i++) {
+		const block = encoded.slice(i * FULL_ENCODED_BLOCK_SIZE, (i + 1) * FULL_ENCODED_BLOCK_SIZE);
+		bytes.set(decodeBlock(block, FULL_BLOCK_SIZE), i * FULL_BLOCK_SIZE);
+	}
+	if (lastBlockSize > 0) {
+		const block = encoded.slice(fullBlocks * FULL_ENCODED_BLOCK_SIZE);
+		bytes.set(decodeBlock(block, lastBlockSize), fullBlocks * FULL_BLOCK_SIZE);
+	}
+	return bytes;
+};
+
+// decodeMoneroAddress decodes and verifies an address. It throws a
+// MoneroAddressError if the address is malformed or its checksum doesn't
+// match, which catches nearly every typo.
+export const decodeMoneroAddress = (address: string): MoneroAddress => {
+	const trimmed = address.trim();
+	if (!trimmed) {
+		throw new MoneroAddressError('The address is empty');
+	}
+	const bytes = decodeMoneroBase58(trimmed);
+
+	const networkAndType = NETWORK_BYTES[bytes[0]];
+	if (!networkAndType) {
+		throw new MoneroAddressError(`Unknown network byte ${bytes[0]}`);
+	}
+	const [network, type] = networkAndType;
+	const paymentIDSize = type === 'integrated' ? PAYMENT_ID_SIZE : 0;
+	if (bytes.length !== 1 + 2 * KEY_SIZE + paymentIDSize + CHECKSUM_SIZE) {
+		throw new MoneroAddressError(`Invalid length for a ${network} ${type} address`);
+	}
+
+	const data = bytes.slice(0, -CHECKSUM_SIZE);
+	const checksum = getBytes(keccak256(data)).slice(0, CHECKSUM_SIZE);
+	if (hexlify(checksum) !== hexlify(bytes.slice(-CHECKSUM_SIZE))) {
+		throw new MoneroAddressError('Invalid checksum, the address has a typo');
+	}
+
+	return {
+		address: trimmed,
+		network,
+		type,
+		publicSpendKey: hexlify(data.slice(1, 1 + KEY_SIZE)),
+		publicViewKey: hexlify(data.slice(1 + KEY_SIZE, 1 + 2 * KEY_SIZE)),
+		...(paymentIDSize ? { paymentID: hexlify(data.slice(1 + 2 * KEY_SIZE)) } : {})
+	};
+};
+
+export const isMoneroAddress = (address: string): boolean => {
+	try {
+		decodeMoneroAddress(address);
+		return true;
+	} catch {
+		return false;
+	}
+};
+
+// moneroNetworkForEnv returns the Monero network swapd uses in an environment.
+// The dev environment runs monerod in regtest mode, which uses mainnet
+// addresses.
+export const moneroNetworkForEnv = (env: string | undefined): MoneroNetwork | undefined => {
+	switch (env) {
+		case 'mainnet':
+		case 'dev':
+			return 'mainnet';
+		case 'stagenet':
+			return 'stagenet';
+		default:
+			return undefined;
+	}
+};
+
+// moneroAddressWarning explains why swapd, running in env, can't use address.
+// It returns an empty string if it can or env is unknown. swapd only takes
+// standard addresses and subaddresses, for swaps and wallet transfers alike,
+// see crypto/monero/base58.go.
+export const moneroAddressWarning = (address: MoneroAddress, env: string | undefined): string => {
+	const expected = moneroNetworkForEnv(env);
+	if (expected && address.network !== expected) {
+		return `This is a ${address.network} address, but swapd runs on ${expected}`;
+	}
+	if (address.type === 'integrated') {
+		return "swapd doesn't take integrated addresses, use the standard address or a subaddress";
+	}
+	return '';
+};
+
+// moneroAddressProblem returns why address can't be used by swapd, running in
+// env, or an empty string if it can.
+export const moneroAddressProblem = (address: string, env: string | undefined): string => {
+	try {
+		return moneroAddressWarning(decodeMoneroAddress(address), env);
+	} catch (e) {
+		return (e as Error).message;
+	}
+};
+
+// moneroAddressFingerprint is a hex hash of the address for identicons, so
+// that two addresses which only differ in a few characters look different.
+export const moneroAddressFingerprint = (address: string): string =>
+	keccak256(toUtf8Bytes(address.trim())).slice(2);
@@ -1,37 +1,118 @@
 import axios from "axios";
 
+export type JSONRPCError = {
+    code: number
+    message: string
+    data?: unknown
+}
+
 export type JSONRPCResult<Data> = {
-    id: string
+    id: number
     jsonrpc: string
     result: Data
-    error: string
+    error?: JSONRPCError
 }
 
+export type RpcRequestOptions = {
+    // in milliseconds, 0 disables the timeout
+    timeout?: number
+    signal?: AbortSignal
+}
+
+// RpcError is returned by swapd itself, e.g. when an offer can't be found.
+export class RpcError extends Error {
+    readonly code: number
+    readonly data?: unknown
+    readonly method: string
+
+    constructor(method: string, { code, message, data }: JSONRPCError) {
+        super(message)
+        this.name = 'RpcError'
+        this.code = code
+        this.data = data
+        this.method = method
+    }
+}
+
+// RpcConnectionError is returned when swapd couldn't be reached, didn't answer
+// in time or the request was cancelled.
+export class RpcConnectionError extends Error {
+    readonly method: string
+    readonly reason: 'timeout' | 'cancelled' | 'unreachable'
+
+    constructor(method: string, reason: RpcConnectionError['reason'], message: string) {
+        super(message)
+        this.name = 'RpcConnectionError'
+        this.method = method
+        this.reason = reason
+    }
+}
+
+const DAEMON_URL_KEY = 'atomicswap.daemonUrl'
+const DEFAULT_TIMEOUT = 30000
+
 export const getPort = () : number => {
     const port = Number(import.meta.env.SWAPD_PORT)
     return isNaN(port) ? 5000 : port
 }
 
+const defaultDaemonUrl = (): string =>
+    import.meta.env.VITE_SWAPD_URL || `http://127.0.0.1:${getPort()}`
+
+// The daemon URL set on the settings page takes precedence over VITE_SWAPD_URL
+// and SWAPD_PORT.
+export const getDaemonUrl = (): string =>
+    (typeof localStorage !== 'undefined' && localStorage.getItem(DAEMON_URL_KEY)) || defaultDaemonUrl()
+
 // Create a instance of axios to use the same base url.
 const axiosAPI = axios.create({
-    baseURL: `http://127.0.0.1:${getPort()}`,
+    baseURL: getDaemonUrl(),
+    headers: { 'Content-Type': 'application/json' },
 });
 
-export const rpcRequest = <TypeResult = any>(method: string, params: Record<string, any> = {}): Promise<JSONRPCResult<TypeResult>> => {
-    const headers = {
-        'Content-Type': 'application/json'
-    };
-    return axiosAPI.post(
+// setDaemonUrl persists the URL for later visits, an empty URL restores the default.
+export const setDaemonUrl = (url: string) => {
+    const trimmed = url.trim().replace(/\/+$/, '')
+    if (trimmed) {
+        localStorage.setItem(DAEMON_URL_KEY, trimmed)
+    } else {
+        localStorage.removeItem(DAEMON_URL_KEY)
+    }
+    axiosAPI.defaults.baseURL = getDaemonUrl()
+}
+
+export const getWsAddress = (): string => `${getDaemonUrl().replace(/^http/, 'ws')}/ws`
+
+let nextId = 0
+
+export const rpcRequest = <TypeResult = any>(
+    method: string,
+    params: Record<string, any> = {},
+    { timeout = DEFAULT_TIMEOUT, signal }: RpcRequestOptions = {}
+): Promise<JSONRPCResult<TypeResult>> => {
+    const id = nextId++
+    return axiosAPI.post<JSONRPCResult<TypeResult>>(
         '',
-        { "jsonrpc": "2.0", "id": "0", method, params },
-        { headers }
+        { "jsonrpc": "2.0", id, method, params },
+        { timeout, signal }
     )
         .then(res => {
-            // TODO: check res.data.error and propagate (#133)
-            console.log(res.data);
-            return Promise.resolve(res.data);
-        })
-        .catch(err => {
-            return Promise.reject(err);
+            if (res.data.error) {
+                return Promise.reject(new RpcError(method, res.data.error))
+            }
+            return res.data
+        }, err => {
+            if (axios.isCancel(err)) {
+                return Promise.reject(new RpcConnectionError(method, 'cancelled', `${method} was cancelled`))
+            }
+            if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+                return Promise.reject(new RpcConnectionError(method, 'timeout', `${method} timed out after ${timeout}ms`))
+            }
+            // swapd answers errors with a JSON-RPC body, whatever the HTTP status
+            const error = err.response?.data?.error
+            if (error) {
+                return Promise.reject(new RpcError(method, error))
+            }
+            return Promise.reject(new RpcConnectionError(method, 'unreachable', `Could not reach swapd at ${getDaemonUrl()}`))
         });
 };
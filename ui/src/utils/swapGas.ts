@@ -0,0 +1,31 @@
+// Worst case gas used by each SwapCreator call, kept in sync with
+// ethereum/consts.go. swapd uses the same limits when it sends them.
+export const SwapGas = {
+	tokenApprove: 47000n,
+	newSwapETH: 50639n,
+	newSwapToken: 87369n,
+	setReady: 32054n,
+	claimETH: 43349n,
+	claimToken: 48416n,
+	refundETH: 43132n,
+	refundToken: 48327n
+};
+
+export type GasStep = {
+	label: string;
+	gas: bigint;
+};
+
+// takerSwapGas lists the transactions the ETH side of a swap sends when it
+// goes through, and the gas of the refund it sends if it doesn't.
+export const takerSwapGas = (isToken: boolean): { steps: GasStep[]; refundGas: bigint } => ({
+	steps: [
+		...(isToken ? [{ label: 'Approve', gas: SwapGas.tokenApprove }] : []),
+		{ label: 'Lock funds', gas: isToken ? SwapGas.newSwapToken : SwapGas.newSwapETH },
+		{ label: 'Set ready', gas: SwapGas.setReady }
+	],
+	refundGas: isToken ? SwapGas.refundToken : SwapGas.refundETH
+});
+
+// Fees above this share of the swap's value make it not worth swapping
+export const MaxFeeShare = 0.05;
@@ -0,0 +1,86 @@
+import { rpcRequest } from './rpcApi';
+import type { RpcRequestOptions } from './rpcApi';
+import type {
+	CancelResult,
+	DaemonVersionResult,
+	DatabaseContractSwapInfoResult,
+	DatabaseSwapSecretResult,
+	MakeOfferRequest,
+	MakeOfferResult,
+	ManualTransactionResult,
+	NetAddressesResult,
+	NetDiscoverResult,
+	NetPairResults,
+	NetQueryAllResult,
+	NetQueryPeerResult,
+	PersonalBalancesResult,
+	PersonalSwapTimeoutResult,
+	PersonalSweepETHResult,
+	PersonalSweepXMRResult,
+	PersonalTransferETHResult,
+	PersonalTransferXMRResult,
+	SwapGetOffersResult,
+	SwapGetOngoingResult,
+	SwapGetPastResult,
+	SwapGetStatusResult,
+	SwapSuggestedExchangeRateResult,
+	TokenInfo
+} from '../types';
+
+const call =
+	<Params extends object | void, Result = void>(method: string) =>
+	(params: Params, options?: RpcRequestOptions): Promise<Result> =>
+		rpcRequest<Result>(method, (params || {}) as Record<string, unknown>, options).then(
+			({ result }) => result
+		);
+
+// swapd exposes one typed method per JSON-RPC endpoint, see docs/rpc.md. Every
+// method rejects with an RpcError or RpcConnectionError on failure.
+export const swapd = {
+	net: {
+		addresses: call<void, NetAddressesResult>('net_addresses'),
+		peers: call<void, NetAddressesResult>('net_peers'),
+		pairs: call<{ searchTime?: number }, NetPairResults>('net_pairs'),
+		discover: call<{ provides?: string; searchTime?: number }, NetDiscoverResult>('net_discover'),
+		queryPeer: call<{ peerID: string }, NetQueryPeerResult>('net_queryPeer'),
+		queryAll: call<{ provides?: string; searchTime?: number }, NetQueryAllResult>('net_queryAll'),
+		takeOffer: call<{ peerID: string; offerID: string; providesAmount: string }>('net_takeOffer'),
+		makeOffer: call<MakeOfferRequest, MakeOfferResult>('net_makeOffer')
+	},
+	personal: {
+		setSwapTimeout: call<{ timeout: number }>('personal_setSwapTimeout'),
+		getSwapTimeout: call<void, PersonalSwapTimeoutResult>('personal_getSwapTimeout'),
+		setGasPrice: call<{ gasPrice: number }>('personal_setGasPrice'),
+		tokenInfo: call<{ tokenAddr: string }, TokenInfo>('personal_tokenInfo'),
+		balances: call<{ tokensAddrs?: string[] }, PersonalBalancesResult>('personal_balances'),
+		transferXMR: call<{ to: string; amount: string }, PersonalTransferXMRResult>(
+			'personal_transferXMR'
+		),
+		sweepXMR: call<{ to: string }, PersonalSweepXMRResult>('personal_sweepXMR'),
+		transferETH: call<{ to: string; amount: string; gasLimit?: number }, PersonalTransferETHResult>(
+			'personal_transferETH'
+		),
+		sweepETH: call<{ to: string }, PersonalSweepETHResult>('personal_sweepETH')
+	},
+	swap: {
+		getPast: call<{ offerID?: string }, SwapGetPastResult>('swap_getPast'),
+		getOngoing: call<{ offerID?: string }, SwapGetOngoingResult>('swap_getOngoing'),
+		getStatus: call<{ id: string }, SwapGetStatusResult>('swap_getStatus'),
+		getOffers: call<void, SwapGetOffersResult>('swap_getOffers'),
+		clearOffers: call<{ offerIDs: string[] }>('swap_clearOffers'),
+		cancel: call<{ offerID: string }, CancelResult>('swap_cancel'),
+		claim: call<{ offerID: string }, ManualTransactionResult>('swap_claim'),
+		refund: call<{ offerID: string }, ManualTransactionResult>('swap_refund'),
+		suggestedExchangeRate: call<void, SwapSuggestedExchangeRateResult>('swap_suggestedExchangeRate')
+	},
+	database: {
+		getContractSwapInfo: call<{ offerID: string }, DatabaseContractSwapInfoResult>(
+			'database_getContractSwapInfo'
+		),
+		getSwapSecret: call<{ offerID: string }, DatabaseSwapSecretResult>('database_getSwapSecret')
+	},
+	daemon: {
+		shutdown: call<void>('daemon_shutdown'),
+		version: call<void, DaemonVersionResult>('daemon_version')
+	}
+};
@@ -0,0 +1,6 @@
+import { exchangeRate, xmrAmount } from './amount';
+
+// xmrToEthAsset converts an XMR amount to the ETH asset at the given exchange
+// rate, truncated to the asset's decimals.
+export const xmrToEthAsset = (xmr: string, rate: string, decimals: number): string =>
+	xmrAmount(xmr).mul(exchangeRate(rate), decimals, 'down').toString();